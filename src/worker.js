@@ -1,21 +1,170 @@
 import { Ratelimit } from "@upstash/ratelimit";
 import { Redis } from "@upstash/redis/cloudflare";
+import { DurableObject } from "cloudflare:workers";
 
 // Security config
 const SECURITY_CONFIG = {
   MAX_PROMPT_LENGTH: 500,
   MIN_PROMPT_LENGTH: 3,
   MAX_REQUEST_SIZE: 10000, // 10KB
+  MAX_UPLOAD_SIZE: 4 * 1024 * 1024, // 4MB per image on the edit routes
   DAILY_SPENDING_CAP: 10.00, // $10 USD
+  WEEKLY_SPENDING_CAP: 50.00, // $50 USD, Monday to Sunday (UTC)
+  MONTHLY_SPENDING_CAP: 150.00, // $150 USD, calendar month (UTC)
+  IP_RATE_LIMIT: 10, // requests per minute per IP
   GLOBAL_RATE_LIMIT: 100, // requests per hour across all users
+  // Denied by every prompt moderation policy (see PROMPT_MODERATION); inflections are spelled out, as "kill*" would catch "killdeer"
   BLOCKED_WORDS: [
-    "nude", "nsfw", "naked", "porn", "xxx", "sex", "explicit",
-    "gore", "violence", "kill", "death", "suicide", "weapon"
-  ]
+    "nude", "nudity", "nudist", "nsfw", "naked", "nakedness", "porn*", "xxx*",
+    "sex", "sexy", "sexual", "sexually", "explicit", "explicitly", "gore", "gory",
+    "violence", "violent", "violently", "kill", "killing", "killed", "killer",
+    "death", "suicide", "suicidal", "weapon"
+  ],
+  // Bounds for the optional generation parameters on /api/generate
+  PARAMETER_LIMITS: {
+    width: { min: 256, max: 1792, multipleOf: 64 },
+    height: { min: 256, max: 1792, multipleOf: 64 },
+    steps: { min: 10, max: 50 },
+    cfgScale: { min: 0, max: 35 },
+    seed: { min: 0, max: 4294967294 },
+    samples: { min: 1, max: 4 },
+    strength: { min: 0.05, max: 1 },
+    negativePromptLength: 500
+  }
+};
+
+// Image-to-3D step of /api/generate-sculpture (the 2D step uses an image provider)
+const SCULPTURE_GENERATION = {
+  model: "stable-fast-3d",
+  parameters: { textureResolution: 1024, foregroundRatio: 0.85 },
+  modelCost: 0.02 // Stable Fast 3D conversion
+};
+
+// Prompt moderation word lists, one policy per kind of generation ("porn*" matches by prefix)
+const PROMPT_MODERATION = {
+  POLICIES: {
+    image: {
+      deny: SECURITY_CONFIG.BLOCKED_WORDS,
+      allow: ["death valley", "death star", "killer whale"]
+    },
+    // Sculptures are meant to be printable, so no weapons either
+    sculpture: {
+      deny: [...SECURITY_CONFIG.BLOCKED_WORDS, "gun", "firearm", "rifle", "pistol", "ammunition"],
+      allow: ["death valley", "death star", "killer whale"]
+    }
+  },
+  MAX_LIST_TERMS: 500,
+  MAX_TERM_LENGTH: 100,
+  LIST_CACHE_SECONDS: 60 // KV edits reach every location within about this long
+};
+
+// Edit routes (POST /api/generate/<operation>): `strength` is how far the
+// result may move away from its source, from 0 (unchanged) to 1 (ignored)
+const EDIT_OPERATIONS = {
+  variation: { defaults: { strength: 0.35 }, mask: false },
+  img2img: { defaults: { strength: 0.65 }, mask: false },
+  inpaint: { defaults: {}, mask: true }
+};
+
+// Prompt-result cache: identical requests get the stored artwork back for free.
+// Set PROMPT_CACHE = "off" to disable; send {"cache": false} to bypass once.
+const PROMPT_CACHE_CONFIG = {
+  TTL_SECONDS: 7 * 86400 // 7 days
+};
+
+// Per-user API keys (hashed records in SPEND_TRACKER KV, managed via /api/admin/keys)
+const API_KEY_CONFIG = {
+  SCOPES: ["generate-image", "generate-sculpture", "read", "curate", "admin"],
+  DEFAULT_SCOPES: ["generate-image", "read"],
+  DEFAULT_RATE_LIMIT: 10, // requests per minute per key
+  MAX_RATE_LIMIT: 600,
+  DEFAULT_DAILY_BUDGET: 1.00, // $1 USD per key per day
+  MAX_NAME_LENGTH: 100
+};
+
+// Resized copies served by /art/*?w=&format= (made by the IMAGES binding, cached in R2)
+const VARIANT_CONFIG = {
+  WIDTHS: [256, 512, 1024],
+  FORMATS: { webp: "image/webp", avif: "image/avif", jpeg: "image/jpeg", png: "image/png" },
+  DEFAULT_FORMAT: "webp",
+  SIZES: { thumbnail: 256, medium: 512 } // named variants in API responses
+};
+
+// Collections: ordered sets of images and sculptures, managed via /api/collections
+// by keys with the curate scope (R2 JSON records under collections/)
+const COLLECTION_CONFIG = {
+  MAX_ITEMS: 500,
+  MAX_NAME_LENGTH: 100,
+  MAX_DESCRIPTION_LENGTH: 1000,
+  VISIBILITIES: ["public", "private"]
 };
 
+// GET /api/search: an inverted index in SPEND_TRACKER KV, updated as artwork
+// is generated, tagged, hidden, restored and deleted
+const SEARCH_CONFIG = {
+  FIELD_WEIGHTS: { prompt: 1, autoTag: 2, tag: 3 }, // a term found in several fields adds them up
+  MAX_TAGS: 20,
+  MAX_TAG_LENGTH: 32,
+  MAX_QUERY_LENGTH: 200,
+  MAX_QUERY_TERMS: 4, // keywords and tags together; each is one KV listing
+  MAX_POSTINGS: 2000 // per term (two KV list pages); past this only the newest matches are ranked
+};
+
+// Permalink pages (/a/:id) and the /oembed endpoint that unfurls them
+const PERMALINK_CONFIG = {
+  RELATED_LIMIT: 6,
+  RELATED_TERMS: 5, // tags and prompt words looked up to find related items
+  CACHE_SECONDS: 300,
+  EMBED_WIDTH: 480, // oEmbed iframe size for sculptures when no maxwidth is given
+  EMBED_HEIGHT: 360
+};
+
+// /feed.xml (Atom) and /feed.json (JSON Feed 1.1): the newest images and sculptures
+const FEED_CONFIG = {
+  LIMIT: 30,
+  CACHE_SECONDS: 300,
+  TITLE: "AI Gallery"
+};
+
+// <model-viewer> web component that shows GLB sculptures in the browser
+const MODEL_VIEWER_URL = "https://ajax.googleapis.com/ajax/libs/model-viewer/3.5.0/model-viewer.min.js";
+
+// POST /api/generate/batch: several images and sculptures in one request
+const BATCH_CONFIG = {
+  MAX_ITEMS: 20,
+  CONCURRENCY: 3, // items generating at the same time
+  MAX_REQUEST_SIZE: 64000 // 64KB, room for MAX_ITEMS full-length prompts
+};
+
+// Async generation jobs: run by the JOB_QUEUE consumer when it's bound, otherwise
+// in waitUntil(), which only has about 30s once the response is sent
+const JOB_CONFIG = {
+  QUEUE_DEADLINE_MS: 15 * 60 * 1000, // a queue consumer's wall-clock limit
+  BACKGROUND_DEADLINE_MS: 30 * 1000,
+  POLL_TIMEOUT_MS: 16 * 60 * 1000 // the frontend stops waiting for a job after this
+};
+
+// Scheduled generation: the cron trigger in wrangler.toml makes one piece per
+// run from a prompt pool in KV, managed (and paused) via /api/admin/autogen
+const AUTOGEN_CONFIG = {
+  TAG: "auto-generated",
+  MAX_PROMPTS: 200,
+  MAX_TEMPLATES: 50,
+  MAX_WORDS: 100 // per template slot
+};
+
+// Pagination for the listing endpoints
+const LISTING_CONFIG = {
+  DEFAULT_LIMIT: 50,
+  MAX_LIMIT: 100,
+  MAX_SCAN_PAGES: 5 // index pages read per request; a short page still returns nextCursor
+};
+
+// Artwork ids are the upload timestamp, e.g. 2025-11-11T10-30-00-000Z
+const ARTWORK_ID_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z$/;
+
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     const url = new URL(request.url);
 
     // Handle CORS preflight
@@ -24,581 +173,938 @@ export default {
         status: 204,
         headers: {
           "Access-Control-Allow-Origin": "*",
-          "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-          "Access-Control-Allow-Headers": "Content-Type, X-API-Key",
+          "Access-Control-Allow-Methods": "GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS",
+          "Access-Control-Allow-Headers": "Content-Type, X-API-Key, Prefer, Range, If-None-Match, If-Modified-Since, If-Range",
           "Access-Control-Max-Age": "86400",
         }
       });
     }
 
+    // Reads stay public, but a key sent with one must be valid and allowed to read
+    if ((request.method === "GET" || request.method === "HEAD") && request.headers.has("x-api-key")
+        && !url.pathname.startsWith("/api/admin/")) {
+      const auth = await requireScope(request, env, url, "read");
+      if (auth.response) return auth.response;
+    }
+
     // ========================================
     // POST /api/generate → Generate and store image
     // ========================================
     if (request.method === "POST" && url.pathname === "/api/generate") {
-      // 0) Request size validation
-      const contentLength = request.headers.get("content-length");
-      if (contentLength && parseInt(contentLength) > SECURITY_CONFIG.MAX_REQUEST_SIZE) {
-        return new Response(JSON.stringify({ 
-          error: "request_too_large",
-          message: "Request body exceeds 10KB limit"
-        }), {
-          status: 413,
-          headers: { "content-type": "application/json" }
-        });
-      }
+      // Size, auth, rate limits, prompt validation, spending cap
+      const guard = await guardGenerationRequest(request, env, url, {
+        scope: "generate-image",
+        policy: "image",
+        cacheKind: "image",
+        plan: body => planImageGeneration(body, env)
+      });
+      if (guard.response) return guard.response;
+      const { prompt, body, client, plan, rateLimitHeaders, cacheKey, cached } = guard;
+      const origin = `${url.protocol}//${url.host}`;
 
-      // 1) Authentication check
-      // Allow requests from our own frontend (same origin) OR with valid API key
-      const origin = request.headers.get("origin");
-      const referer = request.headers.get("referer");
-      const apiKey = request.headers.get("x-api-key");
+      // Identical earlier request: answer with its artwork, even if async was asked for
+      if (cached) {
+        return jsonResponse({ ...imageGenerationResult(cached, origin), cached: true }, 200,
+          { ...rateLimitHeaders, "x-cache": "HIT" });
+      }
 
-      const isSameOrigin = origin?.includes(url.host) || referer?.includes(url.host);
+      // Async: hand back a job id now and generate in the background
+      if (wantsAsyncJob(request, body)) {
+        const job = await createJob(env, "image", { prompt, provider: plan.provider.name });
+        const accepted = jobAccepted(job, origin); // before a background run moves it on
+        await startJob(env, ctx, job, { type: "image", origin, prompt, plan, client, cacheKey });
+        return jsonResponse(accepted, 202, rateLimitHeaders);
+      }
 
-      if (!isSameOrigin && (!apiKey || apiKey !== env.DEMO_API_KEY)) {
-        return new Response(JSON.stringify({ error: "unauthorized" }), {
-          status: 401,
-          headers: { "content-type": "application/json" }
-        });
+      try {
+        const records = await runImageGeneration(env, { prompt, plan, client, cacheKey });
+        return jsonResponse(imageGenerationResult(records, origin), 200, rateLimitHeaders);
+      } catch (error) {
+        console.error("Generation error:", error);
+        return generationErrorResponse(error, rateLimitHeaders);
       }
+    }
 
-      // 2) Rate limiting (if Upstash configured)
-      if (env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN) {
-        const ip = request.headers.get("cf-connecting-ip") || "unknown";
-        const redis = Redis.fromEnv(env);
-        
-        // Per-IP rate limit (10 requests/minute)
-        const ipLimiter = new Ratelimit({
-          redis,
-          limiter: Ratelimit.fixedWindow(10, "1 m"),
-          prefix: "rl:ip"
-        });
-        
-        const { success: ipSuccess, remaining, reset } = await ipLimiter.limit(ip);
-        if (!ipSuccess) {
-          return new Response(JSON.stringify({ 
-            error: "rate_limit_exceeded",
-            message: "Too many requests from your IP. Try again in 1 minute."
-          }), {
-            status: 429,
-            headers: {
-              "content-type": "application/json",
-              "x-ratelimit-remaining": String(remaining),
-              "x-ratelimit-reset": String(reset)
-            }
-          });
-        }
+    // ========================================
+    // GET|HEAD /art/* → Serve images from R2
+    // ========================================
+    if ((request.method === "GET" || request.method === "HEAD") && url.pathname.startsWith("/art/")) {
+      const key = url.pathname.slice(1); // Remove leading slash
 
-        // Global rate limit (100 requests/hour across all users)
-        const globalLimiter = new Ratelimit({
-          redis,
-          limiter: Ratelimit.fixedWindow(SECURITY_CONFIG.GLOBAL_RATE_LIMIT, "1 h"),
-          prefix: "rl:global"
-        });
-        
-        const { success: globalSuccess } = await globalLimiter.limit("all");
-        if (!globalSuccess) {
-          return new Response(JSON.stringify({ 
-            error: "global_rate_limit_exceeded",
-            message: "System is currently at capacity. Please try again later."
-          }), {
-            status: 429,
-            headers: { "content-type": "application/json" }
-          });
-        }
+      // Resized or re-encoded copy, e.g. /art/<id>.png?w=256&format=webp
+      const variant = parseVariantQuery(url);
+      if (variant.error) return jsonResponse(variant, 400);
 
-        // Daily spending cap check
-        const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-        const spendKey = `spend:${today}`;
-        const dailySpend = parseFloat(await redis.get(spendKey) || "0");
-        
-        if (dailySpend >= SECURITY_CONFIG.DAILY_SPENDING_CAP) {
-          return new Response(JSON.stringify({ 
-            error: "daily_budget_exceeded",
-            message: `Daily spending cap of $${SECURITY_CONFIG.DAILY_SPENDING_CAP} reached. Resets at midnight UTC.`
-          }), {
-            status: 429,
-            headers: { "content-type": "application/json" }
-          });
+      // Without ?format=, pick the best format the client accepts
+      const negotiated = !variant.format && Boolean(env.IMAGES);
+      if (negotiated) {
+        const head = await env.ART.head(key);
+        if (!head) {
+          return new Response("Image not found", { status: 404 });
         }
+        variant.format = negotiateImageFormat(request.headers.get("accept"), head.httpMetadata?.contentType);
       }
 
-      // 3) Parse request body
-      let body = {};
-      try {
-        body = await request.json();
-      } catch (e) {
-        return new Response(JSON.stringify({ 
-          error: "invalid_json",
-          message: "Request body must be valid JSON"
-        }), {
-          status: 400,
-          headers: { "content-type": "application/json" }
-        });
+      if (variant.width || variant.format) {
+        return serveImageVariant(request, env, ctx, key, variant, { negotiated });
       }
 
-      // 4) Validate prompt
-      const prompt = (body.prompt || "").trim();
+      const response = await serveStoredObject(request, env, key, {
+        headers: negotiated ? { "vary": "Accept" } : {}
+      });
+      return response || new Response("Image not found", { status: 404 });
+    }
+
+    // ========================================
+    // GET /api/images/latest, /api/sculptures/latest - Get the newest item
+    // ========================================
+    const latestMatch = url.pathname.match(/^\/api\/(images|sculptures)\/latest$/);
+    if (request.method === "GET" && latestMatch) {
+      const collection = latestMatch[1];
+      const type = ARTWORK_COLLECTIONS[collection];
       
-      if (!prompt || prompt.length < SECURITY_CONFIG.MIN_PROMPT_LENGTH) {
-        return new Response(JSON.stringify({ 
-          error: "invalid_prompt",
-          message: `Prompt must be at least ${SECURITY_CONFIG.MIN_PROMPT_LENGTH} characters`
-        }), {
-          status: 400,
-          headers: { "content-type": "application/json" }
-        });
+      try {
+        const { records } = await listArtworkMetadata(env, type, { limit: 1 });
+        const latest = records[0];
+        
+        if (!latest) {
+          return jsonResponse({ error: `no_${collection}_found` }, 404);
+        }
+        
+        return jsonResponse(toPublicArtwork(latest, `${url.protocol}//${url.host}`));
+      } catch (error) {
+        return jsonResponse({ error: "failed_to_get_latest" }, 500);
       }
+    }
 
-      if (prompt.length > SECURITY_CONFIG.MAX_PROMPT_LENGTH) {
-        return new Response(JSON.stringify({ 
-          error: "prompt_too_long",
-          message: `Prompt must be less than ${SECURITY_CONFIG.MAX_PROMPT_LENGTH} characters`
-        }), {
-          status: 400,
-          headers: { "content-type": "application/json" }
-        });
+    // ========================================
+    // GET /api/images, /api/sculptures - List generated artwork
+    // ========================================
+    const listMatch = url.pathname.match(/^\/api\/(images|sculptures)$/);
+    if (request.method === "GET" && listMatch) {
+      const collection = listMatch[1];
+      const type = ARTWORK_COLLECTIONS[collection];
+      
+      const query = parseListingQuery(url, type);
+      if (query.error) {
+        return jsonResponse({ 
+          error: query.error,
+          message: query.message
+        }, 400);
       }
-
-      // 5) Content filtering
-      const promptLower = prompt.toLowerCase();
-      const foundBlockedWord = SECURITY_CONFIG.BLOCKED_WORDS.find(word => 
-        promptLower.includes(word)
-      );
       
-      if (foundBlockedWord) {
-        return new Response(JSON.stringify({ 
-          error: "inappropriate_prompt",
-          message: "Prompt contains inappropriate content"
-        }), {
-          status: 400,
-          headers: { "content-type": "application/json" }
+      try {
+        const { records, nextCursor } = await listArtworkMetadata(env, type, query.filters);
+        const origin = `${url.protocol}//${url.host}`;
+        const items = records.map(record => toPublicArtwork(record, origin));
+        
+        return jsonResponse({ 
+          count: items.length,
+          [collection]: items,
+          nextCursor: nextCursor
         });
+      } catch (error) {
+        return jsonResponse({ error: `failed_to_list_${collection}` }, 500);
       }
+    }
 
-      // 6) Generate image
+    // ========================================
+    // GET /api/images/:id, /api/sculptures/:id - Get one item with its metadata
+    // ========================================
+    const detailMatch = url.pathname.match(/^\/api\/(images|sculptures)\/([^/]+)$/);
+    if (request.method === "GET" && detailMatch) {
+      const type = ARTWORK_COLLECTIONS[detailMatch[1]];
+      const id = decodeURIComponent(detailMatch[2]);
+      
+      if (!ARTWORK_ID_PATTERN.test(id)) {
+        return jsonResponse({ error: "invalid_id" }, 400);
+      }
+      
       try {
-        const imageBytes = await generateImage(prompt, env);
-
-        // Validate image size
-        if (imageBytes.length > 5 * 1024 * 1024) { // 5MB max
-          return new Response(JSON.stringify({ 
-            error: "image_too_large",
-            message: "Generated image exceeds size limit"
-          }), {
-            status: 500,
-            headers: { "content-type": "application/json" }
-          });
+        // Items stored before metadata existed appear once /api/admin/reindex has run
+        const record = await getArtworkMetadata(env, type, id);
+        
+        if (!record || isWithheld(record)) {
+          return jsonResponse({ error: `${type}_not_found` }, 404);
         }
+        
+        return jsonResponse(toPublicArtwork(record, `${url.protocol}//${url.host}`));
+      } catch (error) {
+        return jsonResponse({ error: `failed_to_get_${type}` }, 500);
+      }
+    }
 
-        // 7) Update spending tracker
-        if (env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN) {
-          const redis = Redis.fromEnv(env);
-          const today = new Date().toISOString().split('T')[0];
-          const spendKey = `spend:${today}`;
-          const costPerImage = 0.004; // Approximate cost for Stability AI
-          
-          // Increment daily spend
-          const currentSpend = parseFloat(await redis.get(spendKey) || "0");
-          await redis.set(spendKey, String(currentSpend + costPerImage), {
-            ex: 86400 * 2 // Expire after 2 days
-          });
-        }
+    // ========================================
+    // GET /api/search - Ranked keyword and tag search over images and sculptures
+    // ========================================
+    if (request.method === "GET" && url.pathname === "/api/search") {
+      const query = parseSearchQuery(url);
+      if (query.error) return jsonResponse(query, 400);
 
-        // 8) Store in R2 (both history and latest)
-        const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-        const historyKey = `art/${timestamp}.jpg`;
-        const latestKey = `art/latest.jpg`;
-
-        await Promise.all([
-          // History version (immutable, cache forever)
-          env.ART.put(historyKey, imageBytes, {
-            httpMetadata: {
-              contentType: "image/jpeg",
-              cacheControl: "public, max-age=31536000, immutable"
-            }
-          }),
-          // Latest version (always fresh)
-          env.ART.put(latestKey, imageBytes, {
-            httpMetadata: {
-              contentType: "image/jpeg",
-              cacheControl: "no-store, max-age=0"
-            }
-          })
-        ]);
-
-        // 9) Return URLs
+      try {
+        const { results, total, nextCursor } = await searchArtwork(env, query);
         const origin = `${url.protocol}//${url.host}`;
-        return new Response(JSON.stringify({
-          latestUrl: `${origin}/art/latest.jpg`,
-          historyUrl: `${origin}/${historyKey}`,
-          prompt: prompt
-        }), {
-          status: 200,
-          headers: { "content-type": "application/json" }
+        return jsonResponse({
+          count: results.length,
+          total,
+          results: results.map(({ record, score }) => ({ ...toPublicArtwork(record, origin), score })),
+          nextCursor
         });
-
       } catch (error) {
-        console.error("Generation error:", error);
-        
-        // Better error messages
-        let errorMessage = "generation_failed";
-        let statusCode = 500;
-        let userMessage = "Image generation failed. Please try again.";
-
-        if (error.message?.includes("insufficient_credits") || error.message?.includes("402")) {
-          errorMessage = "insufficient_credits";
-          statusCode = 402;
-          userMessage = "AI provider credits exhausted. Please contact administrator.";
-        } else if (error.message?.includes("timeout") || error.message?.includes("ETIMEDOUT")) {
-          errorMessage = "timeout";
-          statusCode = 504;
-          userMessage = "Request timed out. Please try again.";
-        } else if (error.message?.includes("rate_limit") || error.message?.includes("429")) {
-          errorMessage = "ai_provider_rate_limit";
-          statusCode = 429;
-          userMessage = "AI provider is rate limiting. Please wait a moment.";
-        } else if (error.message?.includes("invalid_prompt") || error.message?.includes("400")) {
-          errorMessage = "invalid_prompt_for_provider";
-          statusCode = 400;
-          userMessage = "Prompt was rejected by AI provider. Try different wording.";
-        }
-
-        return new Response(JSON.stringify({ 
-          error: errorMessage,
-          message: userMessage
-        }), {
-          status: statusCode,
-          headers: { "content-type": "application/json" }
-        });
+        return jsonResponse({ error: "failed_to_search" }, 500);
       }
     }
 
     // ========================================
-    // GET /art/* → Serve images from R2
+    // PUT /api/images/:id/tags, /api/sculptures/:id/tags - Replace an item's tags (curate scope)
     // ========================================
-    if (request.method === "GET" && url.pathname.startsWith("/art/")) {
-      const key = url.pathname.slice(1); // Remove leading slash
-      const object = await env.ART.get(key);
+    const tagsMatch = url.pathname.match(/^\/api\/(images|sculptures)\/([^/]+)\/tags$/);
+    if (request.method === "PUT" && tagsMatch) {
+      const auth = await requireScope(request, env, url, "curate");
+      if (auth.response) return auth.response;
+
+      const type = ARTWORK_COLLECTIONS[tagsMatch[1]];
+      const id = decodeURIComponent(tagsMatch[2]);
+      if (!ARTWORK_ID_PATTERN.test(id)) {
+        return jsonResponse({ error: "invalid_id" }, 400);
+      }
 
-      if (!object) {
-        return new Response("Image not found", { status: 404 });
+      const body = await readJsonBody(request);
+      if (body.error) return jsonResponse(body, 400);
+      const tags = parseTags(body.tags);
+      if (!tags) {
+        return jsonResponse({
+          error: "invalid_tags",
+          message: `tags must be a list of at most ${SEARCH_CONFIG.MAX_TAGS} words or hyphenated-words of up to ${SEARCH_CONFIG.MAX_TAG_LENGTH} characters`
+        }, 400);
       }
 
-      // Create headers from R2 object metadata
-      const headers = new Headers();
-      object.writeHttpMetadata(headers);
-      headers.set("etag", object.httpEtag);
-      headers.set("access-control-allow-origin", "*"); // CORS for browser preview
+      const record = await getArtworkMetadata(env, type, id);
+      if (!record || isWithheld(record)) {
+        return jsonResponse({ error: `${type}_not_found` }, 404);
+      }
 
-      return new Response(object.body, { headers });
+      const updated = { ...record, tags };
+      await putArtworkMetadata(env, updated);
+      await indexArtworkForSearch(env, updated);
+      return jsonResponse(toPublicArtwork(updated, `${url.protocol}//${url.host}`));
     }
 
     // ========================================
-    // GET /api/images/latest - Get the latest image
+    // POST /api/generate-sculpture - Generate 3D from IMAGE (2-step process)
     // ========================================
-    if (request.method === "GET" && url.pathname === "/api/images/latest") {
+    if (request.method === "POST" && url.pathname === "/api/generate-sculpture") {
+      // Same checks as /api/generate, budgeted for both paid steps
+      const guard = await guardGenerationRequest(request, env, url, {
+        scope: "generate-sculpture",
+        policy: "sculpture",
+        cacheKind: "sculpture",
+        plan: body => planSculptureGeneration(body, env)
+      });
+      if (guard.response) return guard.response;
+      const { prompt, body, client, plan, rateLimitHeaders, cacheKey, cached } = guard;
+      const origin = `${url.protocol}//${url.host}`;
+
+      if (cached) {
+        return jsonResponse({ ...sculptureGenerationResult(cached[0], origin), cached: true }, 200,
+          { ...rateLimitHeaders, "x-cache": "HIT" });
+      }
+      
+      if (wantsAsyncJob(request, body)) {
+        const job = await createJob(env, "sculpture", { prompt, provider: plan.provider.name });
+        const accepted = jobAccepted(job, origin);
+        await startJob(env, ctx, job, { type: "sculpture", origin, prompt, plan, client, cacheKey });
+        return jsonResponse(accepted, 202, rateLimitHeaders);
+      }
+      
       try {
-        const list = await env.ART.list({ prefix: "art/", limit: 1000 });
-        
-        // Get the most recent non-latest.jpg image
-        const latestImage = list.objects
-          .filter(obj => obj.key !== "art/latest.jpg")
-          .sort((a, b) => new Date(b.uploaded) - new Date(a.uploaded))[0];
-        
-        if (!latestImage) {
-          return new Response(JSON.stringify({ error: "no_images_found" }), {
-            status: 404,
-            headers: { 
-              "content-type": "application/json",
-              "Access-Control-Allow-Origin": "*"
-            }
-          });
-        }
-        
-        return new Response(JSON.stringify({
-          url: `${url.protocol}//${url.host}/${latestImage.key}`,
-          key: latestImage.key,
-          uploaded: latestImage.uploaded.toISOString(),
-          size: latestImage.size
-        }), {
-          status: 200,
-          headers: { 
-            "content-type": "application/json",
-            "Access-Control-Allow-Origin": "*"
-          }
-        });
+        const record = await runSculptureGeneration(env, { prompt, plan, client, cacheKey });
+        return jsonResponse(sculptureGenerationResult(record, origin), 200, rateLimitHeaders);
       } catch (error) {
-        return new Response(JSON.stringify({ error: "failed_to_get_latest" }), {
-          status: 500,
-          headers: { 
-            "content-type": "application/json",
-            "Access-Control-Allow-Origin": "*"
-          }
-        });
+        console.error('Sculpture generation error:', error);
+        return generationErrorResponse(error, rateLimitHeaders);
+      }
+    }
+
+    // ========================================
+    // POST /api/generate/batch - Generate up to BATCH_CONFIG.MAX_ITEMS images and sculptures
+    // ========================================
+    if (request.method === "POST" && url.pathname === "/api/generate/batch") {
+      // Every item is checked and the total cost held before any of them runs
+      const guard = await guardBatchRequest(request, env, url);
+      if (guard.response) return guard.response;
+      const { body, client, items, rateLimitHeaders } = guard;
+      const origin = `${url.protocol}//${url.host}`;
+
+      if (wantsAsyncJob(request, body)) {
+        const job = await createJob(env, "batch", { prompt: null, provider: null });
+        const accepted = jobAccepted(job, origin);
+        await startJob(env, ctx, job, { type: "batch", origin, items, client });
+        return jsonResponse({ ...accepted, count: items.length }, 202, rateLimitHeaders);
       }
+
+      return jsonResponse(await runGenerationBatch(env, guard, origin), 200, rateLimitHeaders);
     }
 
     // ========================================
-    // GET /api/images - List all generated images
+    // POST /api/generate/variation|img2img|inpaint → Edit an image into new artwork
     // ========================================
-    if (request.method === "GET" && url.pathname === "/api/images") {
+    const editMatch = url.pathname.match(/^\/api\/generate\/(variation|img2img|inpaint)$/);
+    if (request.method === "POST" && editMatch) {
+      const operation = editMatch[1];
+      const guard = await guardGenerationRequest(request, env, url, {
+        scope: "generate-image",
+        policy: "image",
+        uploads: true,
+        promptOptional: true,
+        plan: (body, uploads) => planImageEdit(operation, body, uploads, env)
+      });
+      if (guard.response) return guard.response;
+      const { prompt, body, client, plan, rateLimitHeaders } = guard;
+      const origin = `${url.protocol}//${url.host}`;
+
+      if (wantsAsyncJob(request, body)) {
+        const job = await createJob(env, "image", { prompt, provider: plan.provider.name });
+        const accepted = jobAccepted(job, origin);
+        await startJob(env, ctx, job, { type: "image", origin, prompt, plan, client });
+        return jsonResponse(accepted, 202, rateLimitHeaders);
+      }
+
       try {
-        const list = await env.ART.list({ prefix: "art/", limit: 100 });
-        
-        const images = list.objects
-          .filter(obj => obj.key !== "art/latest.jpg")
-          .map(obj => ({
-            url: `${url.protocol}//${url.host}/${obj.key}`,
-            key: obj.key,
-            uploaded: obj.uploaded.toISOString(),
-            size: obj.size
-          }))
-          .sort((a, b) => new Date(b.uploaded) - new Date(a.uploaded));
-        
-        return new Response(JSON.stringify({ 
-          count: images.length,
-          images: images 
-        }), {
-          status: 200,
-          headers: { 
-            "content-type": "application/json",
-            "Access-Control-Allow-Origin": "*"
-          }
-        });
+        const records = await runImageGeneration(env, { prompt, plan, client });
+        return jsonResponse(imageGenerationResult(records, origin), 200, rateLimitHeaders);
       } catch (error) {
-        return new Response(JSON.stringify({ error: "failed_to_list_images" }), {
-          status: 500,
-          headers: { 
-            "content-type": "application/json",
-            "Access-Control-Allow-Origin": "*"
-          }
-        });
+        console.error("Edit error:", error);
+        return generationErrorResponse(error, rateLimitHeaders);
       }
     }
 
     // ========================================
-    // POST /api/generate-sculpture - Generate 3D from IMAGE (2-step process)
+    // GET /api/collections - List collections (public ones, plus the caller's own)
+    // POST /api/collections - Create a collection (curate scope)
     // ========================================
-    if (request.method === "POST" && url.pathname === "/api/generate-sculpture") {
-      try {
-        // Parse request
-        const body = await request.json();
-        const prompt = body.prompt || "";
-        
-        if (!prompt || prompt.length < 3) {
-          return new Response(JSON.stringify({ 
-            error: "invalid_prompt",
-            message: "Prompt must be at least 3 characters"
-          }), {
-            status: 400,
-            headers: { 
-              "content-type": "application/json",
-              "Access-Control-Allow-Origin": "*"
-            }
-          });
+    if (url.pathname === "/api/collections" && (request.method === "GET" || request.method === "POST")) {
+      const origin = `${url.protocol}//${url.host}`;
+
+      if (request.method === "GET") {
+        const page = parsePagingQuery(url, COLLECTION_PREFIX);
+        if (page.error) return jsonResponse(page, 400);
+        const principal = await authenticateRequest(request, env, url);
+        return jsonResponse(await listCollections(env, principal, origin, page));
+      }
+
+      const auth = await requireScope(request, env, url, "curate");
+      if (auth.response) return auth.response;
+
+      const body = await readJsonBody(request);
+      if (body.error) return jsonResponse(body, 400);
+
+      const parsed = parseCollectionSettings(body);
+      if (parsed.error) return jsonResponse(parsed, 400);
+      const refs = parseArtworkRefs(body.items ?? []);
+      if (!refs) {
+        return jsonResponse({ error: "invalid_items", message: "items must be a list of { type, id }" }, 400);
+      }
+
+      const loaded = await loadCollectionArtwork(env, refs);
+      if (loaded.error) return jsonResponse(loaded, loaded.status);
+      const resolved = await resolveCollectionCover(env, parsed.settings);
+      if (resolved.error) return jsonResponse(resolved, resolved.status);
+
+      const result = await createCollection(env, resolved.settings, loaded.records, auth.principal);
+      if (result.error) {
+        const { status, ...error } = result;
+        return jsonResponse(error, status || 400);
+      }
+      return jsonResponse(toPublicCollection(result.record, origin), 201);
+    }
+
+    // ========================================
+    // GET /api/collections/:id - A collection and one page of its items, in order
+    // PATCH /api/collections/:id - Rename, describe, set visibility or cover
+    // DELETE /api/collections/:id - Delete a collection (its artwork stays)
+    // ========================================
+    const collectionMatch = url.pathname.match(/^\/api\/collections\/(col_[0-9a-f]{12})$/);
+    if (collectionMatch && ["GET", "PATCH", "DELETE"].includes(request.method)) {
+      const id = collectionMatch[1];
+      const origin = `${url.protocol}//${url.host}`;
+
+      if (request.method === "GET") {
+        const page = parsePagingQuery(url);
+        if (page.error) return jsonResponse(page, 400);
+
+        const principal = await authenticateRequest(request, env, url);
+        const current = await getCollection(env, id);
+        if (!current || !canViewCollection(principal, current.record)) {
+          return jsonResponse({ error: "collection_not_found" }, 404);
         }
-        
-        console.log(`Starting 2-step sculpture generation for: "${prompt}"`);
-        const startTime = Date.now();
-        
-        // STEP 1: Generate 2D image from text prompt
-        console.log('Step 1: Generating 2D image...');
-        const imageResponse = await fetch(
-          'https://api.stability.ai/v2beta/stable-image/generate/sd3',
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${env.STABILITY_API_KEY}`,
-              'Accept': 'image/*'
-            },
-            body: (() => {
-              const fd = new FormData();
-              fd.append('prompt', prompt);
-              fd.append('model', 'sd3-large-turbo');
-              fd.append('aspect_ratio', '1:1');
-              fd.append('output_format', 'png');
-              return fd;
-            })()
-          }
-        );
-        
-        if (!imageResponse.ok) {
-          const errorText = await imageResponse.text();
-          throw new Error(`Image generation failed: ${imageResponse.status} - ${errorText}`);
+        return jsonResponse({
+          ...toPublicCollection(await dropWithheldCover(env, current.record), origin),
+          ...await listCollectionItems(env, current.record, origin, page)
+        });
+      }
+
+      const auth = await requireScope(request, env, url, "curate");
+      if (auth.response) return auth.response;
+
+      if (request.method === "DELETE") {
+        const current = await getCollection(env, id);
+        if (!current || !canViewCollection(auth.principal, current.record)) {
+          return jsonResponse({ error: "collection_not_found" }, 404);
         }
-        
-        const imageData = await imageResponse.json();
-        const imageBase64 = imageData.artifacts[0].base64;
-        
-        // Convert base64 to binary
-        const imageBinary = atob(imageBase64);
-        const imageBytes = new Uint8Array(imageBinary.length);
-        for (let i = 0; i < imageBinary.length; i++) {
-          imageBytes[i] = imageBinary.charCodeAt(i);
+        if (!canEditCollection(auth.principal, current.record)) {
+          return jsonResponse({ error: "forbidden", message: "This key can't edit this collection" }, 403);
         }
-        
-        const imageGenTime = Date.now() - startTime;
-        console.log(`Step 1 complete: Image generated in ${imageGenTime}ms`);
-        
-        // STEP 2: Convert image to 3D using Stable Fast 3D
-        console.log('Step 2: Converting image to 3D...');
-        const step2Start = Date.now();
-        
-        // Create form data with the image
-        const formData = new FormData();
-        formData.append('image', new Blob([imageBytes], { type: 'image/png' }), 'input.png');
-        formData.append('texture_resolution', '1024');
-        formData.append('foreground_ratio', '0.85');
-        
-        const sculptureResponse = await fetch(
-          'https://api.stability.ai/v2beta/3d/stable-fast-3d',
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${env.STABILITY_API_KEY}`
-              // Note: Don't set Content-Type, FormData handles it
-            },
-            body: formData
-          }
-        );
-        
-        if (!sculptureResponse.ok) {
-          const errorText = await sculptureResponse.text();
-          throw new Error(`3D generation failed: ${sculptureResponse.status} - ${errorText}`);
+        await env.ART.delete(collectionKey(id));
+        await syncCollectionMembers(env, id, current.record.items, []);
+        return jsonResponse({ id, deleted: true });
+      }
+
+      const body = await readJsonBody(request);
+      if (body.error) return jsonResponse(body, 400);
+      const parsed = parseCollectionSettings(body, { partial: true });
+      if (parsed.error) return jsonResponse(parsed, 400);
+      const resolved = await resolveCollectionCover(env, parsed.settings);
+      if (resolved.error) return jsonResponse(resolved, resolved.status);
+
+      const result = await updateCollection(env, id, auth.principal, collection =>
+        applyCollectionChange(collection, { settings: resolved.settings }));
+      if (result.error) {
+        const { status, ...error } = result;
+        return jsonResponse(error, status || 400);
+      }
+      return jsonResponse(toPublicCollection(await dropWithheldCover(env, result.record), origin));
+    }
+
+    // ========================================
+    // POST /api/collections/:id/items - Add artwork ({ items, position })
+    // PUT /api/collections/:id/items - Set the complete membership, in order
+    // DELETE /api/collections/:id/items/images/:id (or sculptures) - Remove one item
+    // ========================================
+    const itemsMatch = url.pathname.match(/^\/api\/collections\/(col_[0-9a-f]{12})\/items(?:\/(images|sculptures)\/([^/]+))?$/);
+    const itemsAction = itemsMatch && (itemsMatch[2]
+      ? request.method === "DELETE" && "remove"
+      : { POST: "add", PUT: "replace" }[request.method]);
+    if (itemsAction) {
+      const auth = await requireScope(request, env, url, "curate");
+      if (auth.response) return auth.response;
+
+      let change;
+      if (itemsAction === "remove") {
+        const ref = { type: ARTWORK_COLLECTIONS[itemsMatch[2]], id: decodeURIComponent(itemsMatch[3]) };
+        change = { remove: [ref] };
+      } else {
+        const body = await readJsonBody(request);
+        if (body.error) return jsonResponse(body, 400);
+        const refs = parseArtworkRefs(body.items);
+        if (!refs || (itemsAction === "add" && !refs.length)) {
+          return jsonResponse({ error: "invalid_items", message: "items must be a list of { type, id }" }, 400);
         }
-        
-        // Get GLB data (immediate response!)
-        const glbData = await sculptureResponse.arrayBuffer();
-        const sculptureGenTime = Date.now() - step2Start;
-        console.log(`Step 2 complete: 3D generated in ${sculptureGenTime}ms`);
-        
-        // STEP 3: Store GLB in R2
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `sculpture-${timestamp}.glb`;
-        const key = `sculptures/${filename}`;
-        
-        await env.ART.put(key, glbData, {
-          httpMetadata: {
-            contentType: 'model/gltf-binary',
-            cacheControl: 'public, max-age=31536000, immutable'
-          }
-        });
-        
-        const totalTime = Date.now() - startTime;
-        console.log(`Sculpture complete! Total time: ${totalTime}ms, stored: ${key}`);
-        
-        // STEP 4: Return response
-        const origin = `${url.protocol}//${url.host}`;
-        return new Response(JSON.stringify({
-          url: `${origin}/${key}`,
-          key: key,
-          prompt: prompt,
-          generationTime: Math.round(totalTime / 1000), // seconds
-          size: glbData.byteLength,
-          note: 'Generated from 2D image of prompt (image-to-3D)',
-          timing: {
-            imageGeneration: Math.round(imageGenTime / 1000),
-            sculptureGeneration: Math.round(sculptureGenTime / 1000),
-            total: Math.round(totalTime / 1000)
-          }
-        }), {
-          status: 200,
-          headers: { 
-            'content-type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          }
-        });
-        
-      } catch (error) {
-        console.error('Sculpture generation error:', error);
-        return new Response(JSON.stringify({
-          error: 'generation_failed',
-          message: error.message || 'Failed to generate sculpture'
-        }), {
-          status: 500,
-          headers: { 
-            'content-type': 'application/json',
-            'Access-Control-Allow-Origin': '*'
-          }
-        });
+        if (body.position !== undefined && (itemsAction !== "add" || !Number.isInteger(body.position) || body.position < 0)) {
+          return jsonResponse({ error: "invalid_position", message: "position must be a whole number, and only when adding" }, 400);
+        }
+
+        const loaded = await loadCollectionArtwork(env, refs);
+        if (loaded.error) return jsonResponse(loaded, loaded.status);
+        change = itemsAction === "add"
+          ? { add: loaded.records, position: body.position }
+          : { replace: loaded.records };
+      }
+
+      const result = await updateCollection(env, itemsMatch[1], auth.principal, collection =>
+        applyCollectionChange(collection, change));
+      if (result.error) {
+        const { status, ...error } = result;
+        return jsonResponse(error, status || 400);
       }
+      return jsonResponse({
+        ...toPublicCollection(await dropWithheldCover(env, result.record), `${url.protocol}//${url.host}`),
+        items: result.record.items
+      });
     }
 
     // ========================================
-    // GET /sculptures/*.glb - Serve sculpture files
+    // GET /api/jobs/:id - Status of an async generation job
     // ========================================
-    if (request.method === "GET" && url.pathname.startsWith("/sculptures/")) {
-      const key = url.pathname.slice(1); // Remove leading slash
-      const object = await env.ART.get(key);
+    const jobMatch = url.pathname.match(/^\/api\/jobs\/([^/]+)$/);
+    if (request.method === "GET" && jobMatch) {
+      const job = await getJob(env, decodeURIComponent(jobMatch[1]));
       
-      if (!object) {
-        return new Response("Sculpture not found", { status: 404 });
+      if (!job) {
+        return jsonResponse({ error: "job_not_found" }, 404);
       }
       
-      const headers = new Headers();
-      headers.set("content-type", "model/gltf-binary");
-      headers.set("access-control-allow-origin", "*");
-      headers.set("cache-control", "public, max-age=31536000, immutable");
-      object.writeHttpMetadata(headers);
-      headers.set("etag", object.httpEtag);
-      
-      return new Response(object.body, { headers });
+      return jsonResponse(job, 200, { "cache-control": "no-store" });
     }
 
     // ========================================
-    // GET /health → Health check endpoint
+    // GET /api/events - Server-Sent Events: job steps and new artwork
     // ========================================
-    if (request.method === "GET" && url.pathname === "/health") {
-      const health = {
-        status: "ok",
-        timestamp: new Date().toISOString(),
-        version: "1.0.0"
-      };
+    if (request.method === "GET" && url.pathname === "/api/events") {
+      const jobId = url.searchParams.get("job");
       
-      // Check if Upstash is configured
-      if (env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN) {
-        health.rateLimit = "enabled";
-      } else {
-        health.rateLimit = "disabled";
+      // EventSource resends the last event id when it reconnects
+      const since = new Date(request.headers.get("last-event-id") || url.searchParams.get("since") || Date.now());
+      if (isNaN(since)) {
+        return jsonResponse({ 
+          error: "invalid_date",
+          message: "since must be an ISO 8601 date"
+        }, 400);
       }
       
-      return new Response(JSON.stringify(health), {
-        status: 200,
-        headers: { "content-type": "application/json" }
+      const { readable, writable } = new TransformStream();
+      
+      // Not awaited: the stream stays open while the loop keeps writing to it
+      streamGalleryEvents(env, `${url.protocol}//${url.host}`, { jobId, since }, writable.getWriter());
+      
+      return new Response(readable, {
+        headers: {
+          "content-type": "text/event-stream",
+          "cache-control": "no-cache",
+          "Access-Control-Allow-Origin": "*"
+        }
       });
     }
 
     // ========================================
-    // GET / → Serve the frontend
+    // GET|HEAD /sculptures/*.glb - Serve sculpture files (resumable via Range)
     // ========================================
-    if (request.method === "GET" && url.pathname === "/") {
-      return new Response(HTML, {
-        headers: { "content-type": "text/html;charset=UTF-8" }
+    if ((request.method === "GET" || request.method === "HEAD") && url.pathname.startsWith("/sculptures/")) {
+      const key = url.pathname.slice(1); // Remove leading slash
+      const response = await serveStoredObject(request, env, key, {
+        // Older uploads may lack httpMetadata; their own metadata wins when present
+        defaults: {
+          "content-type": "model/gltf-binary",
+          "cache-control": "public, max-age=31536000, immutable"
+        }
       });
+      return response || new Response("Sculpture not found", { status: 404 });
     }
 
-    // Default 404
-    return new Response("Not found", { status: 404 });
-  }
-};
+    // ========================================
+    // POST /api/admin/keys - Issue an API key (the secret is shown only once)
+    // ========================================
+    if (request.method === "POST" && url.pathname === "/api/admin/keys") {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
 
-// ========================================
-// Embedded HTML Frontend
-// ========================================
-const HTML = `<!doctype html>
-<html lang="en">
-<head>
-  <meta charset="utf-8">
-  <meta name="viewport" content="width=device-width,initial-scale=1">
-  <title>AI Gallery Demo</title>
-  <style>
-    * { box-sizing: border-box; }
-    body {
-      font-family: system-ui, -apple-system, sans-serif;
-      max-width: 800px;
-      margin: 0 auto;
-      padding: 2rem 1rem;
+      let body;
+      try {
+        body = await request.json();
+      } catch (e) {
+        return jsonResponse({
+          error: "invalid_json",
+          message: "Request body must be valid JSON"
+        }, 400);
+      }
+
+      const parsed = parseApiKeySettings(body);
+      if (parsed.error) return jsonResponse(parsed, 400);
+
+      const { apiKey, record } = await createApiKey(env, parsed.settings, auth.principal.id);
+      return jsonResponse({ ...record, key: apiKey }, 201);
+    }
+
+    // ========================================
+    // GET /api/admin/keys - List API keys with their usage
+    // ========================================
+    if (request.method === "GET" && url.pathname === "/api/admin/keys") {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
+
+      const page = await listApiKeys(env, url.searchParams.get("cursor") || undefined);
+      return jsonResponse(page);
+    }
+
+    // ========================================
+    // DELETE /api/admin/keys/:id - Revoke an API key
+    // ========================================
+    const keyMatch = url.pathname.match(/^\/api\/admin\/keys\/(key_[0-9a-f]{12})$/);
+    if (request.method === "DELETE" && keyMatch) {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
+
+      const record = await revokeApiKey(env, keyMatch[1], auth.principal.id);
+      if (!record) {
+        return jsonResponse({ error: "not_found" }, 404);
+      }
+      return jsonResponse(record);
+    }
+
+    // ========================================
+    // GET /api/admin/images, /api/admin/sculptures - List items with their moderation status
+    // ========================================
+    const adminListMatch = url.pathname.match(/^\/api\/admin\/(images|sculptures)$/);
+    if (request.method === "GET" && adminListMatch) {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
+
+      const collection = adminListMatch[1];
+      const query = parseListingQuery(url, ARTWORK_COLLECTIONS[collection]);
+      if (query.error) return jsonResponse(query, 400);
+
+      // ?status=hidden,flagged narrows the list; by default it includes everything
+      query.filters.statuses = url.searchParams.has("status")
+        ? url.searchParams.get("status").split(",").map(status => status.trim())
+        : MODERATION_STATUSES;
+      const unknown = query.filters.statuses.find(status => !MODERATION_STATUSES.includes(status));
+      if (unknown) {
+        return jsonResponse({
+          error: "invalid_status",
+          message: `status must be one of: ${MODERATION_STATUSES.join(", ")}`
+        }, 400);
+      }
+
+      const { records, nextCursor } = await listArtworkMetadata(env, ARTWORK_COLLECTIONS[collection], query.filters);
+      const origin = `${url.protocol}//${url.host}`;
+      const items = records.map(record => ({
+        ...toPublicArtwork(record, origin),
+        status: moderationStatus(record),
+        moderation: record.moderation || null,
+        client: record.client || null
+      }));
+      return jsonResponse({ count: items.length, [collection]: items, nextCursor });
+    }
+
+    // ========================================
+    // POST /api/admin/images/:id/(hide|flag|restore), same for sculptures - Moderate an item
+    // DELETE /api/admin/images/:id, /api/admin/sculptures/:id - Delete it for good
+    // ========================================
+    const moderationMatch = url.pathname.match(/^\/api\/admin\/(images|sculptures)\/([^/]+?)(?:\/(hide|flag|restore))?$/);
+    const moderationAction = moderationMatch && (request.method === "POST"
+      ? moderationMatch[3]
+      : request.method === "DELETE" && !moderationMatch[3] && "delete");
+    if (moderationAction) {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
+
+      const type = ARTWORK_COLLECTIONS[moderationMatch[1]];
+      const id = decodeURIComponent(moderationMatch[2]);
+      if (!ARTWORK_ID_PATTERN.test(id)) {
+        return jsonResponse({ error: "invalid_id" }, 400);
+      }
+
+      const body = await parseModerationBody(request);
+      if (body.error) return jsonResponse(body, 400);
+
+      const options = { reason: body.reason, actor: describeClient(request, auth.principal) };
+      const result = moderationAction === "delete"
+        ? await deleteArtwork(env, type, id, options)
+        : await moderateArtwork(env, type, id, moderationAction, options);
+      if (result.error) {
+        const { status, ...error } = result;
+        return jsonResponse(error, status);
+      }
+      return jsonResponse(result.record);
+    }
+
+    // ========================================
+    // GET /api/admin/audit - Moderation audit trail, newest first
+    // ========================================
+    if (request.method === "GET" && url.pathname === "/api/admin/audit") {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
+
+      let cursor;
+      if (url.searchParams.has("cursor")) {
+        cursor = decodeListingCursor(url.searchParams.get("cursor"));
+        if (!cursor?.startsWith(AUDIT_PREFIX)) {
+          return jsonResponse({ error: "invalid_cursor", message: "Cursor is not valid for this listing" }, 400);
+        }
+      }
+
+      const limit = url.searchParams.has("limit") ? Number(url.searchParams.get("limit")) : LISTING_CONFIG.DEFAULT_LIMIT;
+      if (!Number.isInteger(limit) || limit < 1 || limit > LISTING_CONFIG.MAX_LIMIT) {
+        return jsonResponse({
+          error: "invalid_limit",
+          message: `Limit must be between 1 and ${LISTING_CONFIG.MAX_LIMIT}`
+        }, 400);
+      }
+
+      return jsonResponse(await listAuditEntries(env, { cursor, limit }));
+    }
+
+    // ========================================
+    // GET|PUT /api/admin/autogen - Scheduled generation settings and the last run
+    // POST /api/admin/autogen/(pause|resume) - Stop or restart scheduled runs
+    // POST /api/admin/autogen/run - Generate one piece now, even while paused
+    // ========================================
+    const autogenMatch = url.pathname.match(/^\/api\/admin\/autogen(?:\/(pause|resume|run))?$/);
+    if (autogenMatch && (autogenMatch[1] ? request.method === "POST" : ["GET", "PUT"].includes(request.method))) {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
+
+      const action = autogenMatch[1];
+      if (action === "run") {
+        return jsonResponse(await runAutoGeneration(env, { trigger: "manual", force: true }));
+      }
+
+      if (action) {
+        const settings = await getAutogenSettings(env);
+        if (!settings) {
+          return jsonResponse({ error: "not_configured", message: "PUT settings to /api/admin/autogen first" }, 409);
+        }
+        await putAutogenSettings(env, { ...settings, paused: action === "pause" }, auth.principal);
+      } else if (request.method === "PUT") {
+        const body = await readJsonBody(request);
+        if (body.error) return jsonResponse(body, 400);
+        const parsed = await parseAutogenSettings(env, body);
+        if (parsed.error) {
+          const { status, ...error } = parsed;
+          return jsonResponse(error, status || 400);
+        }
+        await putAutogenSettings(env, parsed.settings, auth.principal);
+      }
+
+      const [settings, lastRun] = await Promise.all([
+        getAutogenSettings(env),
+        env.SPEND_TRACKER.get(AUTOGEN_LAST_RUN_KEY, "json")
+      ]);
+      return jsonResponse({ settings, lastRun });
+    }
+
+    // ========================================
+    // GET|PUT /api/admin/moderation/:policy - Prompt moderation word lists
+    // POST /api/admin/moderation/:policy/check - Try a prompt against a policy
+    // ========================================
+    const policyMatch = url.pathname.match(/^\/api\/admin\/moderation\/([a-z]+)(\/check)?$/);
+    if (policyMatch && ["GET", "PUT", "POST"].includes(request.method)) {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
+
+      const policy = policyMatch[1];
+      if (!PROMPT_MODERATION.POLICIES[policy]) {
+        return jsonResponse({
+          error: "invalid_policy",
+          message: `Policy must be one of: ${Object.keys(PROMPT_MODERATION.POLICIES).join(", ")}`
+        }, 404);
+      }
+      if ((request.method === "POST") !== Boolean(policyMatch[2])) {
+        return jsonResponse({ error: "method_not_allowed" }, 405);
+      }
+
+      let body;
+      if (request.method !== "GET") {
+        try {
+          body = await request.json();
+        } catch (e) {
+          return jsonResponse({
+            error: "invalid_json",
+            message: "Request body must be valid JSON"
+          }, 400);
+        }
+      }
+
+      if (request.method === "POST") {
+        if (typeof body.prompt !== "string" || !body.prompt.trim()) {
+          return jsonResponse({ error: "invalid_prompt", message: "Send the prompt to check" }, 400);
+        }
+        return jsonResponse(await moderatePrompt(env, body.prompt, policy));
+      }
+
+      let custom;
+      if (request.method === "PUT") {
+        const parsed = parseModerationLists(body);
+        if (parsed.error) return jsonResponse(parsed, 400);
+        await putCustomModerationLists(env, policy, parsed.lists);
+        custom = parsed.lists;
+      } else {
+        custom = await getCustomModerationLists(env, policy, { fresh: true });
+      }
+
+      return jsonResponse({ policy, builtIn: PROMPT_MODERATION.POLICIES[policy], custom });
+    }
+
+    // ========================================
+    // GET /api/admin/spend - Spend history and remaining budget
+    // ========================================
+    if (request.method === "GET" && url.pathname === "/api/admin/spend") {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
+
+      const days = url.searchParams.has("days") ? Number(url.searchParams.get("days")) : 30;
+      if (!Number.isInteger(days) || days < 1 || days > 90) {
+        return jsonResponse({ error: "invalid_days", message: "days must be between 1 and 90" }, 400);
+      }
+
+      return jsonResponse(await buildSpendReport(env, days));
+    }
+
+    // ========================================
+    // POST /api/admin/reindex - Index artwork stored before metadata existed
+    // ========================================
+    if (request.method === "POST" && url.pathname === "/api/admin/reindex") {
+      const auth = await requireScope(request, env, url, "admin");
+      if (auth.response) return auth.response;
+      
+      const type = url.searchParams.get("type") || "image";
+      if (!METADATA_PREFIXES[type]) {
+        return jsonResponse({ 
+          error: "invalid_type",
+          message: "Type must be image or sculpture"
+        }, 400);
+      }
+      
+      // One bucket page per call; repeat with the returned cursor until null
+      const result = await reindexArtwork(env, type, url.searchParams.get("cursor") || undefined);
+      return jsonResponse(result);
+    }
+
+    // ========================================
+    // GET /health → Health check endpoint
+    // ========================================
+    if (request.method === "GET" && url.pathname === "/health") {
+      const health = {
+        status: "ok",
+        timestamp: new Date().toISOString(),
+        version: "1.0.0"
+      };
+      
+      // Check if Upstash is configured
+      if (env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN) {
+        health.rateLimit = "enabled";
+      } else {
+        health.rateLimit = "disabled";
+      }
+      
+      health.imageProvider = env.IMAGE_PROVIDER || "stability";
+      health.providers = Object.keys(IMAGE_PROVIDERS)
+        .filter(name => IMAGE_PROVIDERS[name].isConfigured(env));
+      
+      return jsonResponse(health);
+    }
+
+    // ========================================
+    // GET /a/:id - Permalink page for one image or sculpture
+    // ========================================
+    const permalinkMatch = url.pathname.match(/^\/a\/([^/]+)$/);
+    if (request.method === "GET" && permalinkMatch) {
+      const id = decodeURIComponent(permalinkMatch[1]);
+      const record = ARTWORK_ID_PATTERN.test(id) ? await findArtwork(env, id) : null;
+      if (!record) {
+        return new Response("Not found", { status: 404 });
+      }
+
+      // ?embed=1 is the bare viewer that oEmbed iframes point at
+      const embed = url.searchParams.has("embed");
+      const related = embed ? [] : await relatedArtwork(env, record);
+      const origin = `${url.protocol}//${url.host}`;
+      return new Response(renderPermalinkPage(record, related, origin, { embed }), {
+        headers: {
+          "content-type": "text/html;charset=UTF-8",
+          "cache-control": `public, max-age=${PERMALINK_CONFIG.CACHE_SECONDS}`
+        }
+      });
+    }
+
+    // ========================================
+    // GET /oembed?url= - oEmbed for permalinks and artwork file URLs
+    // ========================================
+    if (request.method === "GET" && url.pathname === "/oembed") {
+      const format = url.searchParams.get("format") || "json";
+      if (format !== "json") {
+        return jsonResponse({ error: "unsupported_format", message: "Only format=json is supported" }, 501);
+      }
+
+      const size = {};
+      for (const [param, name] of [["maxwidth", "maxWidth"], ["maxheight", "maxHeight"]]) {
+        if (!url.searchParams.has(param)) continue;
+        size[name] = Number(url.searchParams.get(param));
+        if (!Number.isInteger(size[name]) || size[name] < 1) {
+          return jsonResponse({ error: "invalid_size", message: `${param} must be a positive integer` }, 400);
+        }
+      }
+
+      const origin = `${url.protocol}//${url.host}`;
+      const target = url.searchParams.get("url");
+      if (!target) {
+        return jsonResponse({ error: "missing_url", message: "Send the permalink to embed as ?url=" }, 400);
+      }
+      const ref = parseArtworkUrl(target, origin);
+      const record = ref && (ref.type
+        ? await getArtworkMetadata(env, ref.type, ref.id)
+        : await findArtwork(env, ref.id));
+      if (!record || isWithheld(record)) {
+        return jsonResponse({ error: "not_found", message: "No artwork at that URL" }, 404);
+      }
+
+      return jsonResponse(buildOembed(record, origin, { ...size, variants: Boolean(env.IMAGES) }), 200, {
+        "cache-control": `public, max-age=${PERMALINK_CONFIG.CACHE_SECONDS}`
+      });
+    }
+
+    // ========================================
+    // GET /feed.xml, /feed.json - Atom and JSON Feed of new artwork
+    // ========================================
+    if (request.method === "GET" && (url.pathname === "/feed.xml" || url.pathname === "/feed.json")) {
+      const origin = `${url.protocol}//${url.host}`;
+      const items = await listFeedItems(env, origin);
+      const atom = url.pathname === "/feed.xml";
+
+      return new Response(atom ? renderAtomFeed(items, origin) : JSON.stringify(buildJsonFeed(items, origin)), {
+        headers: {
+          "content-type": atom ? "application/atom+xml; charset=utf-8" : "application/feed+json; charset=utf-8",
+          "cache-control": `public, max-age=${FEED_CONFIG.CACHE_SECONDS}`,
+          "Access-Control-Allow-Origin": "*"
+        }
+      });
+    }
+
+    // ========================================
+    // GET / → Serve the frontend
+    // ========================================
+    if (request.method === "GET" && url.pathname === "/") {
+      const cookie = await createSessionCookie(env);
+      return new Response(HTML, {
+        headers: {
+          "content-type": "text/html;charset=UTF-8",
+          "cache-control": "no-store", // each visitor gets their own session cookie
+          ...(cookie && { "set-cookie": cookie })
+        }
+      });
+    }
+
+    // Default 404
+    return new Response("Not found", { status: 404 });
+  },
+
+  // Cron Trigger (see [triggers] in wrangler.toml): one scheduled piece per run
+  async scheduled(event, env, ctx) {
+    ctx.waitUntil(runAutoGeneration(env, { trigger: event.cron }));
+  },
+
+  // JOB_QUEUE consumer (see [[queues.consumers]] in wrangler.toml): one async job per message
+  async queue(batch, env, ctx) {
+    for (const message of batch.messages) {
+      try {
+        await runQueuedJob(env, message.body.jobId);
+      } catch (error) {
+        console.error(`Queued job ${message.body.jobId} failed:`, error);
+        await failQueuedJob(env, message.body.jobId).catch(() => {});
+      }
+      message.ack(); // never retried: a run that got partway has already been charged
+    }
+  }
+};
+
+// ========================================
+// Embedded HTML Frontend
+// ========================================
+const HTML = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+  <title>AI Gallery Demo</title>
+  <link rel="alternate" type="application/atom+xml" title="AI Gallery" href="/feed.xml">
+  <link rel="alternate" type="application/feed+json" title="AI Gallery" href="/feed.json">
+  <style>
+    * { box-sizing: border-box; }
+    body {
+      font-family: system-ui, -apple-system, sans-serif;
+      max-width: 1100px;
+      margin: 0 auto;
+      padding: 2rem 1rem;
       background: #0f0f0f;
       color: #e0e0e0;
     }
@@ -675,6 +1181,7 @@ const HTML = `<!doctype html>
       max-width: 100%;
       border-radius: 12px;
       box-shadow: 0 8px 32px rgba(0,0,0,0.4);
+      cursor: zoom-in;
       display: none;
     }
     #preview.show {
@@ -800,287 +1307,5626 @@ const HTML = `<!doctype html>
       word-break: break-all;
     }
     
-    /* Responsive */
-    @media (max-width: 768px) {
-      .sculpture-section {
-        padding-top: 1rem;
-      }
-      .status-header {
-        flex-direction: column;
-        align-items: flex-start;
-        gap: 0.5rem;
-      }
+    /* Tabs */
+    .tabs {
+      display: flex;
+      gap: 0.5rem;
+      margin-bottom: 1.5rem;
+      border-bottom: 1px solid #333;
+      padding-bottom: 1rem;
+    }
+    .tabs button {
+      background: #1a1a1a;
+      border: 1px solid #333;
+      color: #888;
+    }
+    .tabs button.active {
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      border-color: transparent;
+      color: white;
+    }
+    .tab-panel {
+      display: none;
+    }
+    .tab-panel.active {
+      display: block;
+    }
+    #tab-generate {
+      max-width: 800px;
     }
-  </style>
-</head>
-<body>
-  <h1>AI Gallery Demo</h1>
-  <p class="subtitle">Generate AI art with a simple prompt</p>
-
-  <div class="api-key-info">
-    <strong>🛡️ Protected Demo</strong><br>
-    Rate limited: 10 requests/min per user · 100 requests/hour globally<br>
-    Prompt limits: 3-500 characters · Content filtered for safety
-  </div>
-
-  <form id="gen">
-    <input 
-      id="prompt" 
-      placeholder="e.g., cubist dog in a modern gallery" 
-      required
-      minlength="3"
-      maxlength="500"
-    >
-    <button type="submit">Generate Image</button>
-  </form>
-
-  <div id="status"></div>
-  <img id="preview" alt="Generated artwork" />
-  
-  <!-- 3D Sculpture Generation Section -->
-  <div class="sculpture-section">
-    <h2>🗿 3D Sculpture Generation</h2>
-    
-    <button id="generate-sculpture-btn" class="generate-btn">
-      Generate 3D Sculpture
-    </button>
-    
-    <div id="sculpture-status" class="status-box">
-      <div class="status-header">
-        <span id="sculpture-status-text">Generating sculpture...</span>
-        <span id="sculpture-timer">0s</span>
-      </div>
-      <div class="progress-bar">
-        <div id="sculpture-progress" class="progress-fill"></div>
-      </div>
-      <p id="sculpture-message" class="status-message"></p>
-    </div>
     
-    <div id="sculpture-complete" class="complete-box">
-      <h3>✅ Sculpture Generated!</h3>
-      <p>Ready to view in Unity gallery</p>
-      <div class="sculpture-info">
-        <p><strong>Key:</strong> <code id="sculpture-key"></code></p>
-        <p><strong>Generation Time:</strong> <span id="sculpture-time"></span> seconds</p>
-        <p><strong>File Size:</strong> <span id="sculpture-size"></span> MB</p>
-      </div>
-    </div>
-  </div>
-
-  <script>
-    const form = document.getElementById('gen');
-    const status = document.getElementById('status');
-    const preview = document.getElementById('preview');
-    const promptInput = document.getElementById('prompt');
-
-    function showStatus(message, type) {
-      status.textContent = message;
-      status.className = 'show ' + type;
+    /* Gallery Grid */
+    .gallery-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+      gap: 0.75rem;
     }
-
-    function hideStatus() {
-      status.className = '';
+    .gallery-tile {
+      position: relative;
+      padding: 0;
+      background: #1a1a1a;
+      border: 1px solid #333;
+      border-radius: 8px;
+      overflow: hidden;
+      aspect-ratio: 1;
     }
-
-    // Image Generation
-    form.addEventListener('submit', async (e) => {
-      e.preventDefault();
-      
-      const prompt = promptInput.value.trim();
-      
-      // Client-side validation
-      if (!prompt || prompt.length < 3) {
-        showStatus('✗ Prompt must be at least 3 characters', 'error');
-        setTimeout(hideStatus, 3000);
-        return;
-      }
-      
-      if (prompt.length > 500) {
-        showStatus('✗ Prompt must be less than 500 characters', 'error');
-        setTimeout(hideStatus, 3000);
-        return;
+    .gallery-tile img {
+      display: block;
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+    }
+    .gallery-tile .badge {
+      position: absolute;
+      top: 0.5rem;
+      right: 0.5rem;
+      padding: 2px 8px;
+      border-radius: 4px;
+      background: rgba(15, 15, 15, 0.8);
+      color: #f093fb;
+      font-size: 0.8rem;
+      font-weight: 600;
+    }
+    .gallery-more {
+      display: block;
+      margin: 1.5rem auto;
+    }
+    .gallery-more[hidden], .gallery-empty[hidden] {
+      display: none;
+    }
+    .gallery-empty {
+      color: #888;
+      text-align: center;
+    }
+    
+    /* Lightbox */
+    .lightbox {
+      position: fixed;
+      inset: 0;
+      z-index: 10;
+      display: none;
+      align-items: center;
+      justify-content: center;
+      padding: 1rem;
+      background: rgba(0, 0, 0, 0.85);
+    }
+    .lightbox.show {
+      display: flex;
+    }
+    .lightbox-panel {
+      position: relative;
+      display: flex;
+      gap: 1.5rem;
+      width: 100%;
+      max-width: 1200px;
+      max-height: 100%;
+      padding: 1.5rem;
+      overflow: auto;
+      background: #1a1a1a;
+      border: 1px solid #333;
+      border-radius: 12px;
+    }
+    .lightbox-media {
+      flex: 2;
+      min-width: 0;
+    }
+    .lightbox-media img {
+      display: block;
+      max-width: 100%;
+      max-height: 80vh;
+      margin: 0 auto;
+      border-radius: 8px;
+    }
+    .lightbox-media model-viewer {
+      width: 100%;
+      height: 60vh;
+      background: #0f0f0f;
+      border-radius: 8px;
+    }
+    .sculpture-view {
+      display: flex;
+      gap: 1rem;
+      align-items: flex-start;
+    }
+    .sculpture-view model-viewer {
+      flex: 3;
+    }
+    .sculpture-view figure {
+      flex: 1;
+      margin: 0;
+    }
+    .sculpture-view figcaption {
+      margin-top: 0.5rem;
+      font-size: 0.85rem;
+      color: #888;
+      text-align: center;
+    }
+    .lightbox-details {
+      flex: 1;
+      min-width: 220px;
+    }
+    .lightbox-prompt {
+      margin: 0 0 1rem 0;
+      font-size: 1.1rem;
+      line-height: 1.4;
+    }
+    .lightbox-meta {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      gap: 0.4rem 1rem;
+      margin: 0 0 1.5rem 0;
+      font-size: 0.9rem;
+    }
+    .lightbox-meta dt {
+      color: #888;
+    }
+    .lightbox-meta dd {
+      margin: 0;
+      word-break: break-word;
+    }
+    .lightbox-actions {
+      display: flex;
+      gap: 0.5rem;
+    }
+    .lightbox-actions a {
+      padding: 0.75rem 1.5rem;
+      border: 1px solid #333;
+      border-radius: 8px;
+      color: #e0e0e0;
+      text-decoration: none;
+    }
+    .lightbox-close {
+      position: absolute;
+      top: 0.5rem;
+      right: 0.5rem;
+      padding: 0.25rem 0.75rem;
+      background: none;
+      color: #888;
+      font-size: 1.5rem;
+    }
+    
+    /* Responsive */
+    @media (max-width: 768px) {
+      .sculpture-section {
+        padding-top: 1rem;
+      }
+      .gallery-grid {
+        grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+      }
+      .lightbox-panel, .sculpture-view {
+        flex-direction: column;
+      }
+      .status-header {
+        flex-direction: column;
+        align-items: flex-start;
+        gap: 0.5rem;
       }
+    }
+  </style>
+</head>
+<body>
+  <h1>AI Gallery Demo</h1>
+  <p class="subtitle">Generate AI art with a simple prompt</p>
 
-      showStatus('Generating artwork...', 'loading');
-      preview.classList.remove('show');
-      form.querySelector('button').disabled = true;
+  <div class="api-key-info">
+    <strong>🛡️ Protected Demo</strong><br>
+    Rate limited: 10 requests/min per user · 100 requests/hour globally<br>
+    Prompt limits: 3-500 characters · Content filtered for safety
+  </div>
 
-      try {
-        const res = await fetch('/api/generate', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ prompt })
-        });
+  <nav class="tabs">
+    <button type="button" data-tab="generate" class="active">Generate</button>
+    <button type="button" data-tab="images">Images</button>
+    <button type="button" data-tab="sculptures">Sculptures</button>
+  </nav>
 
-        const data = await res.json();
+  <section id="tab-generate" class="tab-panel active">
+    <form id="gen">
+      <input 
+        id="prompt" 
+        placeholder="e.g., cubist dog in a modern gallery" 
+        required
+        minlength="3"
+        maxlength="500"
+      >
+      <button type="submit">Generate Image</button>
+    </form>
 
-        if (!res.ok) {
-          // Show user-friendly error message
-          const errorMsg = data.message || data.error || 'Generation failed';
-          throw new Error(errorMsg);
-        }
+    <div id="status"></div>
+    <img id="preview" alt="Generated artwork" />
+  
+    <!-- 3D Sculpture Generation Section -->
+    <div class="sculpture-section">
+      <h2>🗿 3D Sculpture Generation</h2>
+    
+      <button id="generate-sculpture-btn" class="generate-btn">
+        Generate 3D Sculpture
+      </button>
+    
+      <div id="sculpture-status" class="status-box">
+        <div class="status-header">
+          <span id="sculpture-status-text">Generating sculpture...</span>
+          <span id="sculpture-timer"></span>
+        </div>
+        <div class="progress-bar">
+          <div id="sculpture-progress" class="progress-fill"></div>
+        </div>
+        <p id="sculpture-message" class="status-message"></p>
+      </div>
+    
+      <div id="sculpture-complete" class="complete-box">
+        <h3>✅ Sculpture Generated!</h3>
+        <p>Ready to view in the gallery</p>
+        <div class="sculpture-info">
+          <p><strong>Key:</strong> <code id="sculpture-key"></code></p>
+          <p><strong>Generation Time:</strong> <span id="sculpture-time"></span> seconds</p>
+          <p><strong>File Size:</strong> <span id="sculpture-size"></span> MB</p>
+        </div>
+        <button id="view-sculpture-btn" type="button">View in 3D</button>
+      </div>
+    </div>
+  </section>
 
-        showStatus('✓ Generated successfully!', 'success');
-        
-        // Add cache-busting timestamp to force reload
-        preview.src = data.historyUrl + '?t=' + Date.now();
-        preview.classList.add('show');
-        
-        // Clear status after 3 seconds
-        setTimeout(hideStatus, 3000);
+  <!-- Gallery: grids fill in page by page as you scroll -->
+  <section id="tab-images" class="tab-panel">
+    <div id="images-grid" class="gallery-grid"></div>
+    <p id="images-empty" class="gallery-empty" hidden>No images yet. Generate one to start the gallery.</p>
+    <button id="images-more" type="button" class="gallery-more" hidden>Load more</button>
+  </section>
 
-      } catch (error) {
-        const errorMsg = error.message || 'Generation failed';
-        showStatus('✗ ' + errorMsg, 'error');
-        
-        // Auto-hide error after 8 seconds
-        setTimeout(hideStatus, 8000);
-      } finally {
-        form.querySelector('button').disabled = false;
+  <section id="tab-sculptures" class="tab-panel">
+    <div id="sculptures-grid" class="gallery-grid"></div>
+    <p id="sculptures-empty" class="gallery-empty" hidden>No sculptures yet. Generate one to start the gallery.</p>
+    <button id="sculptures-more" type="button" class="gallery-more" hidden>Load more</button>
+  </section>
+
+  <div id="lightbox" class="lightbox">
+    <div class="lightbox-panel" role="dialog" aria-modal="true" aria-labelledby="lightbox-prompt">
+      <button id="lightbox-close" type="button" class="lightbox-close" aria-label="Close">×</button>
+      <div id="lightbox-media" class="lightbox-media"></div>
+      <div class="lightbox-details">
+        <p id="lightbox-prompt" class="lightbox-prompt"></p>
+        <dl id="lightbox-meta" class="lightbox-meta"></dl>
+        <div class="lightbox-actions">
+          <a id="lightbox-download" download>Download</a>
+          <button id="lightbox-share" type="button">Share</button>
+        </div>
+      </div>
+    </div>
+  </div>
+
+  <script>
+    const form = document.getElementById('gen');
+    const status = document.getElementById('status');
+    const preview = document.getElementById('preview');
+    const promptInput = document.getElementById('prompt');
+
+    function showStatus(message, type) {
+      status.textContent = message;
+      status.className = 'show ' + type;
+    }
+
+    function hideStatus() {
+      status.className = '';
+    }
+
+    // Progress and messages for each job status reported by /api/jobs/:id
+    const JOB_STEPS = {
+      queued: { progress: 5, message: 'Waiting to start...' },
+      image: { progress: 30, message: 'Step 1: Generating 2D image from prompt...' },
+      '3d': { progress: 65, message: 'Step 2: Converting image to 3D sculpture...' },
+      storing: { progress: 90, message: 'Step 3: Finalizing and storing...' },
+      done: { progress: 100, message: 'Done' }
+    };
+
+    // Start an async generation job and follow it until it finishes
+    async function runGenerationJob(endpoint, prompt, onUpdate) {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ prompt, async: true })
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        // Show user-friendly error message
+        throw new Error(data.message || data.error || 'Generation failed');
       }
-    });
 
-    // Sculpture Generation
-    let sculptureTimerInterval = null;
-    
-    document.getElementById('generate-sculpture-btn').addEventListener('click', async () => {
-      const prompt = promptInput.value.trim();
-      
-      if (!prompt || prompt.length < 3) {
-        showStatus('✗ Please enter a prompt first (at least 3 characters)!', 'error');
-        setTimeout(hideStatus, 3000);
-        return;
+      // Cache hits answer straight away instead of starting a job
+      if (data.cached) {
+        return data;
       }
-      
-      // Disable button
-      const button = document.getElementById('generate-sculpture-btn');
-      button.disabled = true;
-      button.textContent = 'Generating...';
-      
-      // Show status box
-      document.getElementById('sculpture-status').classList.add('show');
-      document.getElementById('sculpture-complete').classList.remove('show');
-      
-      // Reset progress
-      document.getElementById('sculpture-progress').style.width = '0%';
-      document.getElementById('sculpture-status-text').textContent = 'Starting generation...';
-      document.getElementById('sculpture-message').textContent = 'Sending request to AI...';
-      
-      // Clear any existing timer
-      if (sculptureTimerInterval) {
-        clearInterval(sculptureTimerInterval);
+
+      return watchJob(data.jobId, data.statusUrl, onUpdate);
+    }
+
+    // Polling stops after this even if the job never reports back
+    const JOB_POLL_TIMEOUT_MS = ${JOB_CONFIG.POLL_TIMEOUT_MS};
+
+    // Settle with the job result once it is done or failed; false while running
+    function settleJob(job, resolve, reject) {
+      if (job.status === 'done') {
+        resolve(job.result);
+        return true;
       }
-      
-      // Start timer
-      let startTime = Date.now();
-      sculptureTimerInterval = setInterval(() => {
-        const elapsed = Math.floor((Date.now() - startTime) / 1000);
-        document.getElementById('sculpture-timer').textContent = elapsed + 's';
-        
-        // Update progress bar (estimate: ~15 seconds total)
-        const estimatedProgress = Math.min((elapsed / 15) * 100, 95);
-        document.getElementById('sculpture-progress').style.width = estimatedProgress + '%';
-        
-        // Update messages based on time
-        if (elapsed < 3) {
-          document.getElementById('sculpture-message').textContent = 'Step 1: Generating 2D image from prompt...';
-        } else if (elapsed < 12) {
-          document.getElementById('sculpture-message').textContent = 'Step 2: Converting image to 3D sculpture...';
-        } else {
-          document.getElementById('sculpture-message').textContent = 'Step 3: Finalizing and storing...';
+      if (job.status === 'failed') {
+        reject(new Error(job.error.message));
+        return true;
+      }
+      return false;
+    }
+
+    // Job updates are pushed over Server-Sent Events; poll if the stream drops
+    function watchJob(jobId, statusUrl, onUpdate) {
+      return new Promise((resolve, reject) => {
+        if (!window.EventSource) {
+          pollJob(statusUrl, onUpdate, resolve, reject);
+          return;
         }
-      }, 1000);
-      
-      try {
-        // Call API
-        const response = await fetch('/api/generate-sculpture', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json'
-          },
-          body: JSON.stringify({ prompt })
+
+        const source = new EventSource('/api/events?job=' + encodeURIComponent(jobId));
+        source.addEventListener('job', (e) => {
+          const job = JSON.parse(e.data);
+          onUpdate(job);
+          if (settleJob(job, resolve, reject)) source.close();
         });
-        
-        const data = await response.json();
-        
-        // Stop timer
-        clearInterval(sculptureTimerInterval);
-        sculptureTimerInterval = null;
-        
-        if (!response.ok || data.error) {
-          throw new Error(data.message || data.error || 'Generation failed');
+        source.onerror = () => {
+          source.close();
+          pollJob(statusUrl, onUpdate, resolve, reject);
+        };
+      });
+    }
+
+    async function pollJob(statusUrl, onUpdate, resolve, reject) {
+      const giveUpAt = Date.now() + JOB_POLL_TIMEOUT_MS;
+      try {
+        while (true) {
+          if (Date.now() > giveUpAt) {
+            throw new Error('Gave up waiting for the generation job. Check the gallery later.');
+          }
+
+          const jobRes = await fetch(statusUrl);
+          const job = await jobRes.json();
+
+          if (!jobRes.ok) {
+            throw new Error(job.message || job.error || 'Lost track of the generation job');
+          }
+
+          onUpdate(job);
+          if (settleJob(job, resolve, reject)) return;
+
+          await new Promise(r => setTimeout(r, 1000));
         }
-        
-        // Show completion animation
-        document.getElementById('sculpture-progress').style.width = '100%';
-        document.getElementById('sculpture-status-text').textContent = 'Complete!';
-        document.getElementById('sculpture-message').textContent = '✅ Sculpture ready for Unity';
-        
-        setTimeout(() => {
-          document.getElementById('sculpture-status').classList.remove('show');
-          document.getElementById('sculpture-complete').classList.add('show');
-          
-          // Fill in details
-          document.getElementById('sculpture-key').textContent = data.key;
-          document.getElementById('sculpture-time').textContent = data.generationTime;
-          document.getElementById('sculpture-size').textContent = (data.size / 1024 / 1024).toFixed(2);
-        }, 1000);
-        
       } catch (error) {
-        if (sculptureTimerInterval) {
-          clearInterval(sculptureTimerInterval);
-          sculptureTimerInterval = null;
-        }
-        document.getElementById('sculpture-status-text').textContent = '❌ Generation failed';
-        document.getElementById('sculpture-message').textContent = error.message;
-        document.getElementById('sculpture-progress').style.width = '0%';
-        document.getElementById('sculpture-progress').style.background = 'linear-gradient(90deg, #f87171, #ef4444)';
-        
-        // Reset progress color after 5 seconds
-        setTimeout(() => {
-          document.getElementById('sculpture-progress').style.background = 'linear-gradient(90deg, #667eea, #764ba2)';
-        }, 5000);
-      } finally {
-        // Re-enable button
-        button.disabled = false;
-        button.textContent = 'Generate 3D Sculpture';
+        reject(error);
       }
+    }
+
+    // Gallery tabs, infinite-scroll grids and the lightbox. The location hash picks what is shown: #images, #sculptures, or
+    // #images/<id> for one item in the lightbox, so views can be shared
+    const GALLERY_PAGE_SIZE = 30;
+    const MODEL_VIEWER_URL = '${MODEL_VIEWER_URL}';
+    const lightbox = document.getElementById('lightbox');
+    const galleries = {};
+
+    ['images', 'sculptures'].forEach((name) => {
+      galleries[name] = {
+        name,
+        grid: document.getElementById(name + '-grid'),
+        empty: document.getElementById(name + '-empty'),
+        more: document.getElementById(name + '-more'),
+        items: [],
+        cursor: null,
+        started: false,
+        loading: false,
+        done: false
+      };
     });
-  </script>
-</body>
-</html>`;
 
-async function generateImage(prompt, env) {
-  const response = await fetch(
-    'https://api.stability.ai/v1/generation/stable-diffusion-xl-1024-v1-0/text-to-image',
-    {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${env.STABILITY_API_KEY}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        text_prompts: [{ text: prompt }],
-        cfg_scale: 7,
-        height: 1024,
-        width: 1024,
-        steps: 30,
-        samples: 1,
-      }),
-    }
-  );
+    // Load the next page whenever the "Load more" button scrolls into view
+    const moreObserver = window.IntersectionObserver
+      ? new IntersectionObserver((entries) => {
+        entries.forEach((entry) => {
+          if (entry.isIntersecting) loadGalleryPage(galleries[entry.target.dataset.gallery]);
+        });
+      }, { rootMargin: '400px' })
+      : null;
 
-  const data = await response.json();
-  const base64 = data.artifacts[0].base64;
-  
-  // Convert base64 to bytes
-  const binary = atob(base64);
-  const bytes = new Uint8Array(binary.length);
-  for (let i = 0; i < binary.length; i++) {
-    bytes[i] = binary.charCodeAt(i);
-  }
-  return bytes;
-}
+    Object.values(galleries).forEach((gallery) => {
+      gallery.more.dataset.gallery = gallery.name;
+      gallery.more.addEventListener('click', () => loadGalleryPage(gallery));
+    });
+
+    async function loadGalleryPage(gallery) {
+      if (gallery.loading || gallery.done) return;
+      gallery.loading = true;
+      gallery.more.disabled = true;
+      gallery.more.textContent = 'Loading...';
 
+      try {
+        let endpoint = '/api/' + gallery.name + '?limit=' + GALLERY_PAGE_SIZE;
+        if (gallery.cursor) endpoint += '&cursor=' + encodeURIComponent(gallery.cursor);
+
+        const res = await fetch(endpoint);
+        const data = await res.json();
+        if (!res.ok) {
+          throw new Error(data.message || data.error || 'Could not load the gallery');
+        }
+
+        data[gallery.name].forEach((item) => {
+          gallery.items.push(item);
+          gallery.grid.appendChild(renderTile(gallery.name, item));
+        });
+        gallery.cursor = data.nextCursor;
+        gallery.done = !data.nextCursor;
+        gallery.more.textContent = 'Load more';
+      } catch (error) {
+        gallery.more.textContent = 'Retry loading';
+      } finally {
+        gallery.loading = false;
+        gallery.more.disabled = false;
+        gallery.more.hidden = gallery.done;
+        gallery.empty.hidden = !gallery.done || gallery.items.length > 0;
+      }
+
+      // Observing again reports whether the button is still on screen,
+      // which keeps tall windows loading until they are full
+      if (moreObserver && !gallery.done) {
+        moreObserver.unobserve(gallery.more);
+        moreObserver.observe(gallery.more);
+      }
+    }
+
+    // Start a grid over, e.g. after generating something new for it
+    function resetGallery(gallery) {
+      gallery.grid.textContent = '';
+      gallery.items = [];
+      gallery.cursor = null;
+      gallery.done = false;
+      gallery.started = false;
+      gallery.more.hidden = true;
+      gallery.empty.hidden = true;
+      if (moreObserver) moreObserver.unobserve(gallery.more);
+    }
+
+    function startGallery(gallery) {
+      if (gallery.started) return;
+      gallery.started = true;
+      gallery.more.hidden = false;
+      loadGalleryPage(gallery);
+    }
+
+    // Sculpture tiles show their 2D source image; the GLB loads in the lightbox
+    function renderTile(name, item) {
+      const tile = document.createElement('button');
+      tile.type = 'button';
+      tile.className = 'gallery-tile';
+      tile.title = item.prompt;
+
+      const img = document.createElement('img');
+      img.loading = 'lazy';
+      img.alt = item.prompt;
+      if (item.variants) {
+        img.src = item.variants.thumbnail;
+        img.srcset = item.srcset;
+        img.sizes = '(max-width: 768px) 50vw, 260px';
+      } else {
+        img.src = item.type === 'sculpture' ? item.sourceImageUrl : item.url;
+      }
+      tile.appendChild(img);
+
+      if (name === 'sculptures') {
+        const badge = document.createElement('span');
+        badge.className = 'badge';
+        badge.textContent = '3D';
+        tile.appendChild(badge);
+      }
+
+      tile.addEventListener('click', () => {
+        location.hash = name + '/' + encodeURIComponent(item.id);
+      });
+      return tile;
+    }
+
+    // <model-viewer> comes from a CDN the first time a sculpture is shown
+    function loadModelViewer() {
+      if (window.customElements.get('model-viewer') || document.getElementById('model-viewer-script')) return;
+      const script = document.createElement('script');
+      script.id = 'model-viewer-script';
+      script.type = 'module';
+      script.src = MODEL_VIEWER_URL;
+      document.head.appendChild(script);
+    }
+
+    function formatBytes(bytes) {
+      if (bytes >= 1024 * 1024) return (bytes / 1024 / 1024).toFixed(2) + ' MB';
+      return Math.round(bytes / 1024) + ' KB';
+    }
+
+    function addMeta(list, label, value) {
+      if (value === undefined || value === null || value === '') return;
+      const term = document.createElement('dt');
+      term.textContent = label;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      list.append(term, detail);
+    }
+
+    function showLightbox(name, item) {
+      const media = document.getElementById('lightbox-media');
+      const meta = document.getElementById('lightbox-meta');
+      media.textContent = '';
+      meta.textContent = '';
+      document.getElementById('lightbox-prompt').textContent = item.prompt;
+
+      if (name === 'sculptures') {
+        loadModelViewer();
+        const view = document.createElement('div');
+        view.className = 'sculpture-view';
+
+        const viewer = document.createElement('model-viewer');
+        viewer.setAttribute('src', item.url);
+        viewer.setAttribute('alt', item.prompt);
+        viewer.setAttribute('camera-controls', '');
+        viewer.setAttribute('auto-rotate', '');
+        viewer.setAttribute('shadow-intensity', '1');
+        if (item.sourceImageUrl) viewer.setAttribute('poster', item.sourceImageUrl);
+        view.appendChild(viewer);
+
+        if (item.sourceImageUrl) {
+          const figure = document.createElement('figure');
+          const source = document.createElement('img');
+          source.src = item.sourceImageUrl;
+          source.alt = 'Source image for ' + item.prompt;
+          const caption = document.createElement('figcaption');
+          caption.textContent = 'Source image';
+          figure.append(source, caption);
+          view.appendChild(figure);
+        }
+        media.appendChild(view);
+      } else {
+        const img = document.createElement('img');
+        img.src = item.url;
+        if (item.srcset) {
+          img.srcset = item.srcset;
+          img.sizes = '(max-width: 768px) 100vw, 800px';
+        }
+        img.alt = item.prompt;
+        media.appendChild(img);
+      }
+
+      addMeta(meta, 'Provider', item.model ? item.provider + ' · ' + item.model : item.provider);
+      if (item.width && item.height) addMeta(meta, 'Dimensions', item.width + ' × ' + item.height);
+      if (item.parameters && item.parameters.stylePreset) addMeta(meta, 'Style', item.parameters.stylePreset);
+      if (item.parameters && item.parameters.seed !== undefined) addMeta(meta, 'Seed', item.parameters.seed);
+      if (item.timings) addMeta(meta, 'Generation time', Math.round(item.timings.totalMs / 1000) + 's');
+      if (item.size) addMeta(meta, 'File size', formatBytes(item.size));
+      if (item.tags && item.tags.length) addMeta(meta, 'Tags', item.tags.join(', '));
+      addMeta(meta, 'Created', new Date(item.createdAt).toLocaleString());
+
+      const download = document.getElementById('lightbox-download');
+      download.href = item.url;
+      download.setAttribute('download', item.url.split('/').pop());
+
+      lightbox.dataset.id = item.id;
+      lightbox.classList.add('show');
+      document.getElementById('lightbox-close').focus();
+    }
+
+    function hideLightbox() {
+      lightbox.classList.remove('show');
+      // Stop the viewer from rendering while nothing can see it
+      document.getElementById('lightbox-media').textContent = '';
+    }
+
+    // Items reached by a shared link may not be in the grid yet
+    async function openArtwork(name, id) {
+      const known = galleries[name].items.find(item => item.id === id);
+      if (known) {
+        showLightbox(name, known);
+        return;
+      }
+
+      try {
+        const res = await fetch('/api/' + name + '/' + encodeURIComponent(id));
+        const item = await res.json();
+        if (!res.ok) throw new Error(item.message || item.error);
+        showLightbox(name, item);
+      } catch (error) {
+        location.hash = name;
+      }
+    }
+
+    function showTab(name) {
+      document.querySelectorAll('.tabs button').forEach((button) => {
+        button.classList.toggle('active', button.dataset.tab === name);
+      });
+      document.querySelectorAll('.tab-panel').forEach((panel) => {
+        panel.classList.toggle('active', panel.id === 'tab-' + name);
+      });
+      if (galleries[name]) startGallery(galleries[name]);
+      if (name === 'sculptures') loadModelViewer();
+    }
+
+    function showFromHash() {
+      const parts = location.hash.slice(1).split('/');
+      const name = galleries[parts[0]] ? parts[0] : 'generate';
+      showTab(name);
+
+      if (name !== 'generate' && parts[1]) {
+        openArtwork(name, decodeURIComponent(parts[1]));
+      } else {
+        hideLightbox();
+      }
+    }
+
+    document.querySelectorAll('.tabs button').forEach((button) => {
+      button.addEventListener('click', () => {
+        location.hash = button.dataset.tab;
+      });
+    });
+
+    function closeLightbox() {
+      if (!lightbox.classList.contains('show')) return;
+      location.hash = location.hash.slice(1).split('/')[0];
+    }
+
+    document.getElementById('lightbox-close').addEventListener('click', closeLightbox);
+    lightbox.addEventListener('click', (e) => {
+      if (e.target === lightbox) closeLightbox();
+    });
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') closeLightbox();
+    });
+
+    // Share the artwork's permalink page; copy it where Web Share is missing
+    document.getElementById('lightbox-share').addEventListener('click', async () => {
+      const button = document.getElementById('lightbox-share');
+      const shareUrl = location.origin + '/a/' + encodeURIComponent(lightbox.dataset.id);
+      const title = document.getElementById('lightbox-prompt').textContent;
+
+      if (navigator.share) {
+        try {
+          await navigator.share({ title, url: shareUrl });
+        } catch (error) {
+          // Closing the share sheet rejects too; nothing to report
+        }
+        return;
+      }
+
+      try {
+        await navigator.clipboard.writeText(shareUrl);
+        button.textContent = 'Link copied';
+      } catch (error) {
+        window.prompt('Copy this link:', shareUrl);
+      }
+      setTimeout(() => {
+        button.textContent = 'Share';
+      }, 2000);
+    });
+
+    window.addEventListener('hashchange', showFromHash);
+    showFromHash();
+
+    // Image Generation
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const prompt = promptInput.value.trim();
+      
+      // Client-side validation
+      if (!prompt || prompt.length < 3) {
+        showStatus('✗ Prompt must be at least 3 characters', 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+      
+      if (prompt.length > 500) {
+        showStatus('✗ Prompt must be less than 500 characters', 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+
+      showStatus('Generating artwork...', 'loading');
+      preview.classList.remove('show');
+      form.querySelector('button').disabled = true;
+
+      try {
+        const data = await runGenerationJob('/api/generate', prompt, (job) => {
+          if (job.status === 'storing') {
+            showStatus('Saving to the gallery...', 'loading');
+          }
+        });
+
+        showStatus('✓ Generated successfully!', 'success');
+        
+        // Add cache-busting timestamp to force reload
+        preview.src = data.historyUrl + '?t=' + Date.now();
+        preview.classList.add('show');
+        preview.dataset.id = data.id;
+        resetGallery(galleries.images);
+        
+        // Clear status after 3 seconds
+        setTimeout(hideStatus, 3000);
+
+      } catch (error) {
+        const errorMsg = error.message || 'Generation failed';
+        showStatus('✗ ' + errorMsg, 'error');
+        
+        // Auto-hide error after 8 seconds
+        setTimeout(hideStatus, 8000);
+      } finally {
+        form.querySelector('button').disabled = false;
+      }
+    });
+
+    preview.addEventListener('click', () => {
+      location.hash = 'images/' + encodeURIComponent(preview.dataset.id);
+    });
+
+    // Sculpture Generation
+    let lastSculptureId = null;
+
+    // The server's timing of each step so far, e.g. "image 8s · 3d …"
+    function formatJobSteps(job) {
+      return job.steps.map((step) => {
+        return step.name + ' ' + (step.durationMs === undefined ? '…' : Math.round(step.durationMs / 1000) + 's');
+      }).join(' · ');
+    }
+    
+    document.getElementById('generate-sculpture-btn').addEventListener('click', async () => {
+      const prompt = promptInput.value.trim();
+      
+      if (!prompt || prompt.length < 3) {
+        showStatus('✗ Please enter a prompt first (at least 3 characters)!', 'error');
+        setTimeout(hideStatus, 3000);
+        return;
+      }
+      
+      // Disable button
+      const button = document.getElementById('generate-sculpture-btn');
+      button.disabled = true;
+      button.textContent = 'Generating...';
+      
+      // Show status box
+      document.getElementById('sculpture-status').classList.add('show');
+      document.getElementById('sculpture-complete').classList.remove('show');
+      
+      // Reset progress
+      document.getElementById('sculpture-progress').style.width = '0%';
+      document.getElementById('sculpture-status-text').textContent = 'Starting generation...';
+      document.getElementById('sculpture-message').textContent = 'Sending request to AI...';
+      document.getElementById('sculpture-timer').textContent = '';
+      
+      try {
+        const data = await runGenerationJob('/api/generate-sculpture', prompt, (job) => {
+          document.getElementById('sculpture-timer').textContent = formatJobSteps(job);
+          const step = JOB_STEPS[job.status];
+          if (!step) return;
+          document.getElementById('sculpture-progress').style.width = step.progress + '%';
+          document.getElementById('sculpture-status-text').textContent = 'Generating sculpture...';
+          document.getElementById('sculpture-message').textContent = step.message;
+        });
+        
+        // Show completion animation
+        document.getElementById('sculpture-progress').style.width = '100%';
+        document.getElementById('sculpture-status-text').textContent = 'Complete!';
+        document.getElementById('sculpture-message').textContent = '✅ Sculpture ready to view';
+        
+        setTimeout(() => {
+          document.getElementById('sculpture-status').classList.remove('show');
+          document.getElementById('sculpture-complete').classList.add('show');
+          
+          // Fill in details
+          document.getElementById('sculpture-key').textContent = data.key;
+          document.getElementById('sculpture-time').textContent = data.generationTime;
+          document.getElementById('sculpture-size').textContent = (data.size / 1024 / 1024).toFixed(2);
+        }, 1000);
+        lastSculptureId = data.id;
+        resetGallery(galleries.sculptures);
+        
+      } catch (error) {
+        document.getElementById('sculpture-status-text').textContent = '❌ Generation failed';
+        document.getElementById('sculpture-message').textContent = error.message;
+        document.getElementById('sculpture-progress').style.width = '0%';
+        document.getElementById('sculpture-progress').style.background = 'linear-gradient(90deg, #f87171, #ef4444)';
+        
+        // Reset progress color after 5 seconds
+        setTimeout(() => {
+          document.getElementById('sculpture-progress').style.background = 'linear-gradient(90deg, #667eea, #764ba2)';
+        }, 5000);
+      } finally {
+        // Re-enable button
+        button.disabled = false;
+        button.textContent = 'Generate 3D Sculpture';
+      }
+    });
+
+    document.getElementById('view-sculpture-btn').addEventListener('click', () => {
+      location.hash = 'sculptures/' + encodeURIComponent(lastSculptureId);
+    });
+  </script>
+</body>
+</html>`;
+
+// ========================================
+// Image providers
+// ========================================
+
+const PROVIDER_TIMEOUT_MS = 60000;
+
+// Stable error codes every provider translates its failures into
+const PROVIDER_ERRORS = {
+  insufficient_credits: {
+    status: 402,
+    message: "AI provider credits exhausted. Please contact administrator."
+  },
+  timeout: {
+    status: 504,
+    message: "Request timed out. Please try again."
+  },
+  ai_provider_rate_limit: {
+    status: 429,
+    message: "AI provider is rate limiting. Please wait a moment."
+  },
+  invalid_prompt_for_provider: {
+    status: 400,
+    message: "Prompt was rejected by AI provider. Try different wording."
+  },
+  image_too_large: {
+    status: 500,
+    message: "Generated image exceeds size limit"
+  },
+  generation_failed: {
+    status: 500,
+    message: "Generation failed. Please try again."
+  },
+  // Raised by output screening rather than a provider
+  output_flagged: {
+    status: 422,
+    message: "The result didn't pass safety screening and is being held for review."
+  },
+  // An async job still unfinished at its deadline, when its worker was cut off
+  job_expired: {
+    status: 504,
+    message: "The job ran out of time before it finished. Please try again."
+  }
+};
+
+class ProviderError extends Error {
+  constructor(code, detail) {
+    super(`${code}: ${detail}`);
+    this.name = "ProviderError";
+    this.code = code;
+  }
+}
+
+// Stability SDXL only renders these sizes; other providers map onto them too
+const SDXL_SIZES = {
+  "1:1": [1024, 1024],
+  "9:7": [1152, 896],
+  "7:9": [896, 1152],
+  "3:2": [1216, 832],
+  "2:3": [832, 1216],
+  "16:9": [1344, 768],
+  "9:16": [768, 1344],
+  "21:9": [1536, 640],
+  "9:21": [640, 1536]
+};
+
+const STABILITY_STYLE_PRESETS = [
+  "3d-model", "analog-film", "anime", "cinematic", "comic-book", "digital-art",
+  "enhance", "fantasy-art", "isometric", "line-art", "low-poly", "modeling-compound",
+  "neon-punk", "origami", "photographic", "pixel-art", "tile-texture"
+];
+
+/**
+ * Every provider implements the same interface:
+ *   models              model id → {
+ *                         defaults     parameters used when a request omits them
+ *                         supports     optional parameters a request may set
+ *                         sizes        aspect ratio → [width, height] it can render,
+ *                                      "any" for any size within PARAMETER_LIMITS,
+ *                                      or absent when the size can't be chosen
+ *                         stylePresets accepted stylePreset values
+ *                         edits        EDIT_OPERATIONS the model can run
+ *                         inputFormats source formats edit() accepts (default: any)
+ *                         cost(params) USD for one request with those parameters
+ *                       }
+ *   defaultModel        model used by /api/generate
+ *   sculptureModel      model used for the 2D step of /api/generate-sculpture
+ *   editModel           model used by /api/generate/<operation> (optional)
+ *   isConfigured(env)   whether the provider can be selected
+ *   generate(prompt, env, { model, parameters }) → [{ bytes, seed }], one per sample
+ *   edit(prompt, env, { model, parameters, operation, image, mask }) → same as generate
+ *   translateError(status, text) → ProviderError
+ */
+const IMAGE_PROVIDERS = {
+  stability: {
+    name: "stability",
+    defaultModel: "stable-diffusion-xl-1024-v1-0",
+    sculptureModel: "sd3-large-turbo",
+    editModel: "stable-diffusion-xl-1024-v1-0",
+    models: {
+      "stable-diffusion-xl-1024-v1-0": {
+        defaults: { width: 1024, height: 1024, steps: 30, cfgScale: 7, samples: 1 },
+        supports: ["seed", "steps", "cfgScale", "negativePrompt", "stylePreset", "samples"],
+        sizes: SDXL_SIZES,
+        stylePresets: STABILITY_STYLE_PRESETS,
+        edits: ["variation", "img2img", "inpaint"],
+        // ~$0.004 for one 1024×1024 image at 30 steps; scales with steps, pixels and samples
+        cost: p => 0.004 * (p.steps / 30) * ((p.width * p.height) / (1024 * 1024)) * p.samples
+      },
+      "sd3-large-turbo": {
+        defaults: { aspectRatio: "1:1", samples: 1 },
+        supports: ["seed", "negativePrompt"],
+        cost: () => 0.04
+      }
+    },
+
+    isConfigured(env) {
+      return Boolean(env.STABILITY_API_KEY);
+    },
+
+    async generate(prompt, env, { model, parameters }) {
+      if (model.startsWith("sd3")) {
+        const form = new FormData();
+        form.append("prompt", prompt);
+        form.append("model", model);
+        form.append("aspect_ratio", parameters.aspectRatio);
+        form.append("output_format", "png");
+        if (parameters.seed !== undefined) form.append("seed", String(parameters.seed));
+        if (parameters.negativePrompt) form.append("negative_prompt", parameters.negativePrompt);
+
+        const response = await providerFetch(this, "https://api.stability.ai/v2beta/stable-image/generate/sd3", {
+          method: "POST",
+          headers: {
+            "Authorization": `Bearer ${env.STABILITY_API_KEY}`,
+            "Accept": "image/*"
+          },
+          body: form
+        });
+
+        // Accept: image/* means the v2beta API answers with raw PNG bytes
+        const seed = Number(response.headers.get("seed") ?? parameters.seed);
+        return [{ bytes: new Uint8Array(await response.arrayBuffer()), seed }];
+      }
+
+      const textPrompts = [{ text: prompt, weight: 1 }];
+      if (parameters.negativePrompt) {
+        textPrompts.push({ text: parameters.negativePrompt, weight: -1 });
+      }
+
+      const response = await providerFetch(this, `https://api.stability.ai/v1/generation/${model}/text-to-image`, {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${env.STABILITY_API_KEY}`,
+          "Content-Type": "application/json",
+          "Accept": "application/json"
+        },
+        body: JSON.stringify({
+          text_prompts: textPrompts,
+          cfg_scale: parameters.cfgScale,
+          height: parameters.height,
+          width: parameters.width,
+          steps: parameters.steps,
+          samples: parameters.samples,
+          seed: parameters.seed,
+          ...(parameters.stylePreset && { style_preset: parameters.stylePreset })
+        })
+      });
+
+      return stabilityArtifacts(response);
+    },
+
+    // Variations are image-to-image with the parent's prompt and a low strength
+    async edit(prompt, env, { model, parameters, operation, image, mask }) {
+      const form = new FormData();
+      form.append("init_image", new Blob([image]));
+      form.append("text_prompts[0][text]", prompt);
+      form.append("text_prompts[0][weight]", "1");
+      if (parameters.negativePrompt) {
+        form.append("text_prompts[1][text]", parameters.negativePrompt);
+        form.append("text_prompts[1][weight]", "-1");
+      }
+      form.append("cfg_scale", String(parameters.cfgScale));
+      form.append("steps", String(parameters.steps));
+      form.append("samples", String(parameters.samples));
+      form.append("seed", String(parameters.seed));
+      if (parameters.stylePreset) form.append("style_preset", parameters.stylePreset);
+
+      let endpoint = `https://api.stability.ai/v1/generation/${model}/image-to-image`;
+      if (operation === "inpaint") {
+        endpoint += "/masking";
+        form.append("mask_source", "MASK_IMAGE_WHITE");
+        form.append("mask_image", new Blob([mask]));
+      } else {
+        // image_strength is how much of the source to keep; strength is how much to change
+        form.append("init_image_mode", "IMAGE_STRENGTH");
+        form.append("image_strength", String(1 - parameters.strength));
+      }
+
+      const response = await providerFetch(this, endpoint, {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${env.STABILITY_API_KEY}`,
+          "Accept": "application/json"
+        },
+        body: form
+      });
+      return stabilityArtifacts(response);
+    },
+
+    translateError(status, text) {
+      if (status === 402) return new ProviderError("insufficient_credits", text);
+      if (status === 429) return new ProviderError("ai_provider_rate_limit", text);
+      if (status === 408 || status === 504) return new ProviderError("timeout", text);
+      if (status === 400 || status === 403) return new ProviderError("invalid_prompt_for_provider", text);
+      return new ProviderError("generation_failed", `${status} - ${text}`);
+    }
+  },
+
+  openai: {
+    name: "openai",
+    defaultModel: "dall-e-3",
+    sculptureModel: "dall-e-3",
+    editModel: "dall-e-2",
+    models: {
+      "dall-e-3": {
+        defaults: { width: 1024, height: 1024, quality: "standard", samples: 1 },
+        supports: ["stylePreset"],
+        sizes: {
+          "1:1": [1024, 1024],
+          "16:9": [1792, 1024],
+          "9:16": [1024, 1792]
+        },
+        stylePresets: ["vivid", "natural"],
+        // $0.04 square, $0.08 wide or tall (standard quality)
+        cost: p => (p.width === p.height ? 0.04 : 0.08) * p.samples
+      },
+      // Only DALL·E 2 has a variations endpoint; it takes square PNGs
+      "dall-e-2": {
+        defaults: { width: 1024, height: 1024, samples: 1 },
+        supports: ["samples"],
+        sizes: {
+          "1:1": [1024, 1024]
+        },
+        edits: ["variation"],
+        inputFormats: ["png"],
+        cost: p => 0.02 * p.samples
+      }
+    },
+
+    isConfigured(env) {
+      return Boolean(env.OPENAI_API_KEY);
+    },
+
+    async generate(prompt, env, { model, parameters }) {
+      const response = await providerFetch(this, "https://api.openai.com/v1/images/generations", {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${env.OPENAI_API_KEY}`,
+          "Content-Type": "application/json"
+        },
+        body: JSON.stringify({
+          model,
+          prompt,
+          n: 1,
+          size: `${parameters.width}x${parameters.height}`,
+          quality: parameters.quality,
+          ...(parameters.stylePreset && { style: parameters.stylePreset }),
+          response_format: "b64_json"
+        })
+      });
+
+      const data = await response.json();
+      return data.data.map(image => ({ bytes: base64ToBytes(image.b64_json), seed: null }));
+    },
+
+    async edit(prompt, env, { model, parameters, image }) {
+      const form = new FormData();
+      form.append("image", new Blob([image], { type: "image/png" }), "image.png");
+      form.append("model", model);
+      form.append("n", String(parameters.samples));
+      form.append("size", `${parameters.width}x${parameters.height}`);
+      form.append("response_format", "b64_json");
+
+      const response = await providerFetch(this, "https://api.openai.com/v1/images/variations", {
+        method: "POST",
+        headers: {
+          "Authorization": `Bearer ${env.OPENAI_API_KEY}`
+        },
+        body: form
+      });
+
+      const data = await response.json();
+      return data.data.map(image => ({ bytes: base64ToBytes(image.b64_json), seed: null }));
+    },
+
+    translateError(status, text) {
+      // OpenAI reports an empty balance as a 429 with code insufficient_quota
+      if (text.includes("insufficient_quota") || text.includes("billing_hard_limit")) {
+        return new ProviderError("insufficient_credits", text);
+      }
+      if (status === 429) return new ProviderError("ai_provider_rate_limit", text);
+      if (status === 408 || status === 504) return new ProviderError("timeout", text);
+      if (status === 400) return new ProviderError("invalid_prompt_for_provider", text);
+      return new ProviderError("generation_failed", `${status} - ${text}`);
+    }
+  },
+
+  // Offline provider for `wrangler dev` and tests; [stub:<error_code>] in a prompt makes it fail
+  stub: {
+    name: "stub",
+    defaultModel: "stub-gradient",
+    sculptureModel: "stub-gradient",
+    editModel: "stub-gradient",
+    models: {
+      "stub-gradient": {
+        defaults: { width: 256, height: 256, seed: 0, samples: 1 },
+        supports: ["seed", "steps", "cfgScale", "negativePrompt", "stylePreset", "samples"],
+        sizes: "any",
+        stylePresets: STABILITY_STYLE_PRESETS,
+        edits: ["variation", "img2img", "inpaint"],
+        cost: () => 0
+      }
+    },
+
+    // Free images in the gallery are only wanted when asked for explicitly
+    isConfigured(env) {
+      return env.IMAGE_PROVIDER === "stub" || env.ENABLE_STUB_PROVIDER === "true";
+    },
+
+    async generate(prompt, env, { parameters }) {
+      const forced = prompt.match(/\[stub:(\w+)\]/);
+      if (forced && PROVIDER_ERRORS[forced[1]]) {
+        throw new ProviderError(forced[1], "simulated by the stub provider");
+      }
+
+      // Rendered at most 512px on the long side so the uncompressed PNG stays
+      // well under MAX_IMAGE_BYTES; the requested size is still what's recorded
+      const { seed, samples } = parameters;
+      const scale = Math.min(1, 512 / Math.max(parameters.width, parameters.height));
+      const width = Math.round(parameters.width * scale);
+      const height = Math.round(parameters.height * scale);
+      return Array.from({ length: samples }, (_, i) => ({
+        bytes: createStubPng(`${prompt}#${seed + i}`, width, height),
+        seed: seed + i
+      }));
+    },
+
+    // Same gradients, keyed on the operation and source so edits differ from their parent
+    async edit(prompt, env, { parameters, operation, image }) {
+      return this.generate(`${operation}:${crc32(image)}:${prompt}`, env, { parameters });
+    },
+
+    translateError(status, text) {
+      return new ProviderError("generation_failed", text);
+    }
+  }
+};
+
+/**
+ * Pick the provider for a request: `requested` (from the body) if given,
+ * else the IMAGE_PROVIDER env var, else Stability.
+ * Returns { provider } or { error, message }.
+ */
+function selectImageProvider(env, requested) {
+  const name = requested || env.IMAGE_PROVIDER || "stability";
+  const provider = Object.hasOwn(IMAGE_PROVIDERS, name) ? IMAGE_PROVIDERS[name] : null;
+
+  if (!provider) {
+    return {
+      error: "unknown_provider",
+      message: `Provider must be one of: ${Object.keys(IMAGE_PROVIDERS).join(", ")}`
+    };
+  }
+
+  if (!provider.isConfigured(env)) {
+    return {
+      error: "provider_not_configured",
+      message: `Provider ${name} is not configured on this server`
+    };
+  }
+
+  return { provider };
+}
+
+const GENERATION_PARAMETERS = [
+  "width", "height", "aspectRatio", "seed", "steps", "cfgScale",
+  "negativePrompt", "stylePreset", "samples"
+];
+
+/**
+ * Read the optional generation parameters from a request body and check
+ * them against SECURITY_CONFIG.PARAMETER_LIMITS. Whether the chosen model
+ * accepts them is checked later by resolveGenerationParameters.
+ * Returns { parameters } or { error, message }.
+ */
+function parseGenerationParameters(body) {
+  const limits = SECURITY_CONFIG.PARAMETER_LIMITS;
+  const parameters = {};
+
+  for (const name of GENERATION_PARAMETERS) {
+    const value = body[name];
+    if (value === undefined || value === null) continue;
+
+    if (name === "aspectRatio") {
+      if (typeof value !== "string" || !/^\d{1,2}:\d{1,2}$/.test(value)) {
+        return invalidParameter(name, "must look like \"16:9\"");
+      }
+    } else if (name === "negativePrompt") {
+      if (typeof value !== "string" || value.length > limits.negativePromptLength) {
+        return invalidParameter(name, `must be a string of at most ${limits.negativePromptLength} characters`);
+      }
+    } else if (name === "stylePreset") {
+      if (typeof value !== "string") {
+        return invalidParameter(name, "must be a string");
+      }
+    } else {
+      const { min, max, multipleOf } = limits[name];
+      const integer = name !== "cfgScale";
+      if (typeof value !== "number" || !Number.isFinite(value) || (integer && !Number.isInteger(value))
+          || value < min || value > max) {
+        return invalidParameter(name, `must be ${integer ? "an integer" : "a number"} from ${min} to ${max}`);
+      }
+      if (multipleOf && value % multipleOf !== 0) {
+        return invalidParameter(name, `must be a multiple of ${multipleOf}`);
+      }
+    }
+
+    parameters[name] = typeof value === "string" ? value.trim() : value;
+  }
+
+  return { parameters };
+}
+
+function invalidParameter(name, message) {
+  return { error: "invalid_parameter", message: `${name} ${message}` };
+}
+
+/**
+ * Merge requested parameters over a model's defaults. Sizes are resolved to
+ * width/height from the model's size table, and models that take a seed get
+ * a random one when none was asked for, so every stored result records the
+ * seed that produced it (`randomSeed` says the server chose it).
+ * Returns { parameters, randomSeed } or { error, message }.
+ */
+function resolveGenerationParameters(provider, model, requested) {
+  const spec = provider.models[model];
+  const parameters = { ...spec.defaults };
+
+  for (const [name, value] of Object.entries(requested)) {
+    if (name === "width" || name === "height" || name === "aspectRatio") continue;
+    if (!spec.supports.includes(name)) {
+      return {
+        error: "unsupported_parameter",
+        message: `${model} (${provider.name}) does not accept ${name}`
+      };
+    }
+    parameters[name] = value;
+  }
+
+  const { width, height, aspectRatio } = requested;
+  if (width !== undefined || height !== undefined || aspectRatio !== undefined) {
+    const size = resolveSize(spec, { width, height, aspectRatio });
+    if (!size) {
+      const choices = spec.sizes && spec.sizes !== "any"
+        ? `; choose one of ${Object.entries(spec.sizes).map(([ratio, [w, h]]) => `${ratio} (${w}x${h})`).join(", ")}`
+        : "";
+      return {
+        error: "unsupported_parameter",
+        message: `${model} (${provider.name}) cannot render that size${choices}`
+      };
+    }
+    [parameters.width, parameters.height] = size;
+  }
+
+  if (parameters.stylePreset && !spec.stylePresets.includes(parameters.stylePreset)) {
+    return invalidParameter("stylePreset", `must be one of: ${spec.stylePresets.join(", ")}`);
+  }
+
+  const randomSeed = spec.supports.includes("seed") && parameters.seed === undefined;
+  if (randomSeed) {
+    const [random] = crypto.getRandomValues(new Uint32Array(1));
+    parameters.seed = random % (SECURITY_CONFIG.PARAMETER_LIMITS.seed.max + 1);
+  }
+
+  return { parameters, randomSeed };
+}
+
+// [width, height] for a requested size, or null if the model can't render it
+function resolveSize(spec, { width, height, aspectRatio }) {
+  if (!spec.sizes) return null;
+
+  if (spec.sizes === "any") {
+    if (aspectRatio === undefined) {
+      return [width ?? spec.defaults.width, height ?? spec.defaults.height];
+    }
+    // Keep the requested (or default) width and derive the height from the ratio
+    const [across, down] = aspectRatio.split(":").map(Number);
+    const w = width ?? spec.defaults.width;
+    const h = height ?? Math.round((w * down) / across / 64) * 64;
+    const { min, max } = SECURITY_CONFIG.PARAMETER_LIMITS.height;
+    return h >= min && h <= max ? [w, h] : null;
+  }
+
+  const candidates = aspectRatio !== undefined
+    ? (Object.hasOwn(spec.sizes, aspectRatio) ? [spec.sizes[aspectRatio]] : [])
+    : Object.values(spec.sizes);
+  return candidates.find(([w, h]) =>
+    (width === undefined || width === w) && (height === undefined || height === h)
+  ) ?? null;
+}
+
+// fetch() with a timeout, turning provider failures into ProviderErrors
+async function providerFetch(provider, url, init) {
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: AbortSignal.timeout(PROVIDER_TIMEOUT_MS) });
+  } catch (error) {
+    if (error.name === "TimeoutError" || error.name === "AbortError") {
+      throw new ProviderError("timeout", `${provider.name} did not answer within ${PROVIDER_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  }
+
+  if (!response.ok) {
+    throw provider.translateError(response.status, await response.text());
+  }
+  return response;
+}
+
+// Image-to-3D always runs on Stable Fast 3D; the stub provider returns a placeholder cube
+async function generateSculptureModel(imageBytes, prompt, env, provider) {
+  if (provider.name === "stub") {
+    return createStubGlb(prompt);
+  }
+
+  const { parameters } = SCULPTURE_GENERATION;
+  const formData = new FormData();
+  const image = inspectImage(imageBytes) || IMAGE_FORMATS.png;
+  formData.append("image", new Blob([imageBytes], { type: image.contentType }), `input.${image.extension}`);
+  formData.append("texture_resolution", String(parameters.textureResolution));
+  formData.append("foreground_ratio", String(parameters.foregroundRatio));
+
+  const response = await providerFetch(IMAGE_PROVIDERS.stability, "https://api.stability.ai/v2beta/3d/stable-fast-3d", {
+    method: "POST",
+    headers: {
+      "Authorization": `Bearer ${env.STABILITY_API_KEY}`
+      // Note: Don't set Content-Type, FormData handles it
+    },
+    body: formData
+  });
+
+  return response.arrayBuffer();
+}
+
+// Stability v1 answers JSON with one base64 artifact per sample
+async function stabilityArtifacts(response) {
+  const data = await response.json();
+  return data.artifacts.map(artifact => ({
+    bytes: base64ToBytes(artifact.base64),
+    seed: artifact.seed
+  }));
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// ========================================
+// Stub output (valid PNG and GLB files built without any libraries)
+// ========================================
+
+// FNV-1a, enough to turn a prompt into stable colours
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+function promptColors(prompt) {
+  const hash = hashString(prompt);
+  const from = [hash & 0xff, (hash >>> 8) & 0xff, (hash >>> 16) & 0xff];
+  const to = from.map(channel => 255 - channel);
+  return { from, to };
+}
+
+function createStubPng(prompt, width, height) {
+  const { from, to } = promptColors(prompt);
+  const rowLength = width * 3 + 1;
+  const pixels = new Uint8Array(rowLength * height);
+
+  for (let y = 0; y < height; y++) {
+    pixels[y * rowLength] = 0; // filter: none
+    for (let x = 0; x < width; x++) {
+      const t = (x + y) / (width + height - 2);
+      for (let c = 0; c < 3; c++) {
+        pixels[y * rowLength + 1 + x * 3 + c] = Math.round(from[c] + (to[c] - from[c]) * t);
+      }
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = 2; // colour type: RGB
+
+  return concatBytes([
+    new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlibStore(pixels)),
+    pngChunk("IEND", new Uint8Array(0))
+  ]);
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+// zlib stream made of uncompressed ("stored") deflate blocks
+function zlibStore(data) {
+  const blockCount = Math.max(1, Math.ceil(data.length / 65535));
+  const out = new Uint8Array(2 + blockCount * 5 + data.length + 4);
+  out[0] = 0x78;
+  out[1] = 0x01;
+
+  let pos = 2;
+  for (let i = 0; i < blockCount; i++) {
+    const start = i * 65535;
+    const length = Math.min(65535, data.length - start);
+    out[pos++] = i === blockCount - 1 ? 1 : 0;
+    out[pos++] = length & 0xff;
+    out[pos++] = length >>> 8;
+    out[pos++] = ~length & 0xff;
+    out[pos++] = (~length >>> 8) & 0xff;
+    out.set(data.subarray(start, start + length), pos);
+    pos += length;
+  }
+
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length; i++) {
+    a = (a + data[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  new DataView(out.buffer).setUint32(pos, ((b << 16) | a) >>> 0);
+  return out;
+}
+
+let crcTable;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A unit cube tinted from the prompt, as a single-mesh glTF binary
+function createStubGlb(prompt) {
+  const positions = new Float32Array([
+    -0.5, -0.5, -0.5,  0.5, -0.5, -0.5,  0.5, 0.5, -0.5,  -0.5, 0.5, -0.5,
+    -0.5, -0.5, 0.5,   0.5, -0.5, 0.5,   0.5, 0.5, 0.5,   -0.5, 0.5, 0.5
+  ]);
+  const indices = new Uint16Array([
+    0, 2, 1, 0, 3, 2,  4, 5, 6, 4, 6, 7,  0, 1, 5, 0, 5, 4,
+    3, 7, 6, 3, 6, 2,  0, 4, 7, 0, 7, 3,  1, 2, 6, 1, 6, 5
+  ]);
+  const binary = concatBytes([new Uint8Array(positions.buffer), new Uint8Array(indices.buffer)]);
+  const { from } = promptColors(prompt);
+
+  const gltf = {
+    asset: { version: "2.0", generator: "ai-gallery stub" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0 }],
+    meshes: [{ primitives: [{ attributes: { POSITION: 0 }, indices: 1, material: 0 }] }],
+    materials: [{
+      pbrMetallicRoughness: {
+        baseColorFactor: [...from.map(channel => channel / 255), 1],
+        metallicFactor: 0
+      }
+    }],
+    buffers: [{ byteLength: binary.length }],
+    bufferViews: [
+      { buffer: 0, byteOffset: 0, byteLength: positions.byteLength, target: 34962 },
+      { buffer: 0, byteOffset: positions.byteLength, byteLength: indices.byteLength, target: 34963 }
+    ],
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 8, type: "VEC3", min: [-0.5, -0.5, -0.5], max: [0.5, 0.5, 0.5] },
+      { bufferView: 1, componentType: 5123, count: indices.length, type: "SCALAR" }
+    ]
+  };
+
+  // Chunks are 4-byte aligned: JSON pads with spaces, BIN with zeros
+  let json = JSON.stringify(gltf);
+  json += " ".repeat((4 - (json.length % 4)) % 4);
+  const jsonBytes = new TextEncoder().encode(json);
+  const binPadded = new Uint8Array(Math.ceil(binary.length / 4) * 4);
+  binPadded.set(binary);
+
+  const glb = new Uint8Array(12 + 8 + jsonBytes.length + 8 + binPadded.length);
+  const view = new DataView(glb.buffer);
+  view.setUint32(0, 0x46546c67, true); // "glTF"
+  view.setUint32(4, 2, true);
+  view.setUint32(8, glb.length, true);
+  view.setUint32(12, jsonBytes.length, true);
+  view.setUint32(16, 0x4e4f534a, true); // "JSON"
+  glb.set(jsonBytes, 20);
+  const binOffset = 20 + jsonBytes.length;
+  view.setUint32(binOffset, binPadded.length, true);
+  view.setUint32(binOffset + 4, 0x004e4942, true); // "BIN"
+  glb.set(binPadded, binOffset + 8);
+  return glb.buffer;
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+// ========================================
+// Generation pipelines (shared by the sync routes and background jobs)
+// ========================================
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // 5MB
+
+const IMAGE_FORMATS = {
+  png: { contentType: "image/png", extension: "png" },
+  jpeg: { contentType: "image/jpeg", extension: "jpg" },
+  webp: { contentType: "image/webp", extension: "webp" }
+};
+
+/**
+ * Identify an image from its magic bytes rather than trusting whoever made
+ * it. Returns { format, contentType, extension, width, height } for PNG,
+ * JPEG and WebP, or null for anything else.
+ */
+function inspectImage(bytes) {
+  const found = readImageHeader(bytes);
+  return found && { ...found, ...IMAGE_FORMATS[found.format] };
+}
+
+function readImageHeader(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const ascii = (start, length) => String.fromCharCode(...bytes.subarray(start, start + length));
+
+  if (bytes.length >= 24 && view.getUint32(0) === 0x89504e47) {
+    return { format: "png", width: view.getUint32(16), height: view.getUint32(20) };
+  }
+
+  if (bytes.length >= 4 && view.getUint16(0) === 0xffd8) {
+    // Walk the segments to the first start-of-frame marker
+    let offset = 2;
+    while (offset + 9 <= bytes.length && bytes[offset] === 0xff) {
+      const marker = bytes[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return { format: "jpeg", width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+      }
+      offset += 2 + view.getUint16(offset + 2);
+    }
+  }
+
+  if (bytes.length >= 30 && ascii(0, 4) === "RIFF" && ascii(8, 4) === "WEBP") {
+    const chunk = ascii(12, 4);
+    if (chunk === "VP8 ") {
+      return { format: "webp", width: view.getUint16(26, true) & 0x3fff, height: view.getUint16(28, true) & 0x3fff };
+    }
+    if (chunk === "VP8L") {
+      const bits = view.getUint32(21, true);
+      return { format: "webp", width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === "VP8X") {
+      const uint24 = offset => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+      return { format: "webp", width: uint24(24) + 1, height: uint24(27) + 1 };
+    }
+  }
+
+  return null;
+}
+
+async function sha256Hex(bytes) {
+  return toHex(new Uint8Array(await crypto.subtle.digest("SHA-256", bytes)));
+}
+
+// R2 customMetadata carried by every stored image, so HEAD answers without the record
+function imageObjectMetadata(image, hash) {
+  return { width: String(image.width), height: String(image.height), sha256: hash };
+}
+
+/**
+ * Generate (or, with `plan.edit`, edit), charge and store the requested
+ * images, then write a metadata record for each one. Every sample becomes
+ * its own artwork (ids are spaced 1ms apart) and art/latest.jpg points at
+ * the first. If any result, or an uploaded edit source, fails output
+ * screening, all of them are quarantined instead and it throws output_flagged.
+ * `onStep` is called as the work enters each stage ("image", "storing") so
+ * jobs can report real progress. Resolves to the stored records, in sample
+ * order. With a `cacheKey` from the guard, they're also remembered in the
+ * prompt-result cache. Tags in `plan.tags` are stored on the records.
+ */
+async function runImageGeneration(env, { prompt, plan, client, cacheKey }, onStep = async () => {}) {
+  const { provider, model, parameters, edit } = plan;
+
+  await onStep("image");
+  const startTime = Date.now();
+  const images = await callWithSpendHold(env, plan.hold, () => edit
+    ? provider.edit(prompt, env, { model, parameters, operation: edit.operation, image: edit.image, mask: edit.mask })
+    : provider.generate(prompt, env, { model, parameters }));
+  const generationTime = Date.now() - startTime;
+
+  // Update spending tracker (the provider has charged, whatever its output turns out to be)
+  await recordSpend(env, { amount: plan.cost, provider: provider.name, operation: "image", client, hold: plan.hold });
+
+  // Validate image size
+  const oversized = images.find(image => image.bytes.length > MAX_IMAGE_BYTES);
+  if (oversized) {
+    throw new ProviderError("image_too_large", `${oversized.bytes.length} bytes`);
+  }
+
+  // Providers differ (Stability and the stub send PNG), so record what arrived
+  const inspected = await Promise.all(images.map(async ({ bytes }) => {
+    const image = inspectImage(bytes);
+    if (!image) throw new ProviderError("generation_failed", "Provider returned an unrecognised image format");
+    return { ...image, sha256: await sha256Hex(bytes) };
+  }));
+
+  // Nothing is published unless every sample (and an uploaded source) passes screening; otherwise all go under quarantine/
+  const uploaded = edit && !edit.parentId ? [{ bytes: edit.image, contentType: IMAGE_FORMATS[edit.format].contentType }] : [];
+  const screening = await screenGeneratedImages(
+    env,
+    [...images.map((image, i) => ({ bytes: image.bytes, contentType: inspected[i].contentType })), ...uploaded],
+    prompt
+  );
+  const prefix = screening ? QUARANTINE_PREFIX : "";
+
+  // Store in R2 (history for every sample, latest for the first)
+  await onStep("storing");
+  const createdAt = Date.now();
+  const firstId = createArtworkId(new Date(createdAt));
+
+  // Edits link back to the gallery image they came from; uploaded sources are kept next to the first result
+  // instead (inpainting masks aren't kept: nothing needs them once the edit is done)
+  const lineage = edit && {
+    operation: edit.operation,
+    parentId: edit.parentId,
+    ...(!edit.parentId && { sourceImageKey: `art/${firstId}-source.${IMAGE_FORMATS[edit.format].extension}` })
+  };
+
+  const records = images.map(({ bytes, seed }, i) => {
+    const artworkId = createArtworkId(new Date(createdAt + i));
+    const image = inspected[i];
+    return {
+      id: artworkId,
+      type: "image",
+      key: `art/${artworkId}.${image.extension}`,
+      prompt: prompt,
+      provider: provider.name,
+      model: model,
+      // The seed actually used, so this one image can be reproduced on its own
+      parameters: { ...parameters, samples: 1, ...(seed != null && { seed }) },
+      cost: roundCost(plan.cost / images.length),
+      ...(images.length > 1 && { sampleIndex: i, sampleCount: images.length }),
+      ...lineage,
+      timings: {
+        generationMs: generationTime,
+        totalMs: Date.now() - startTime
+      },
+      client: client,
+      size: bytes.length,
+      contentType: image.contentType,
+      width: image.width,
+      height: image.height,
+      sha256: image.sha256,
+      ...(plan.tags && { tags: plan.tags }),
+      ...(screening && { moderation: quarantinedModeration(screening.rule) }),
+      createdAt: new Date(createdAt + i).toISOString()
+    };
+  });
+
+  await Promise.all([
+    // History versions (immutable, cache forever)
+    ...records.map((record, i) => env.ART.put(prefix + record.key, images[i].bytes, {
+      httpMetadata: {
+        contentType: record.contentType,
+        cacheControl: "public, max-age=31536000, immutable"
+      },
+      customMetadata: imageObjectMetadata(inspected[i], record.sha256)
+    })),
+    // Latest version (always fresh)
+    !screening && putLatestImage(env, images[0].bytes, records[0]),
+    lineage?.sourceImageKey && storeUploadedImage(env, prefix + lineage.sourceImageKey, edit.image)
+  ]);
+
+  // Store metadata records next to the artwork
+  await Promise.all(records.map(record => putArtworkMetadata(env, record)));
+  if (screening) {
+    await rejectScreenedArtwork(env, records, screening.rule, client);
+  } else {
+    await touchEventMarker(env);
+  }
+  if (cacheKey) await putCachedArtwork(env, cacheKey, records);
+  await Promise.all(records.map(record => indexArtworkForSearch(env, record)));
+  if (plan.collectionId) await fileIntoCollection(env, plan.collectionId, records);
+  return records;
+}
+
+/**
+ * Two-step sculpture generation: a 2D image from the prompt, then Stable
+ * Fast 3D on that image. Each step is charged as it completes, so a failed
+ * 3D step still counts the image. Reports "image", "3d" and "storing" to
+ * `onStep`. Resolves to the stored record. With a `cacheKey` from the
+ * guard, the result is also remembered in the prompt-result cache.
+ */
+async function runSculptureGeneration(env, { prompt, plan, client, cacheKey }, onStep = async () => {}) {
+  const { provider, model } = plan;
+
+  console.log(`Starting 2-step sculpture generation for: "${prompt}"`);
+  const startTime = Date.now();
+  
+  // STEP 1: Generate 2D image from text prompt
+  await onStep("image");
+  console.log(`Step 1: Generating 2D image with ${provider.name}...`);
+  const [{ bytes: imageBytes }] = await callWithSpendHold(env, plan.hold,
+    () => provider.generate(prompt, env, { model, parameters: plan.parameters }));
+  
+  const imageGenTime = Date.now() - startTime;
+  console.log(`Step 1 complete: Image generated in ${imageGenTime}ms`);
+  await recordSpend(env, { amount: plan.imageCost, provider: provider.name, operation: "sculpture", client, hold: plan.hold });
+  
+  // STEP 2: Convert image to 3D using Stable Fast 3D
+  await onStep("3d");
+  console.log('Step 2: Converting image to 3D...');
+  const step2Start = Date.now();
+  
+  const glbData = await callWithSpendHold(env, plan.hold, () => generateSculptureModel(imageBytes, prompt, env, provider));
+  const sculptureGenTime = Date.now() - step2Start;
+  console.log(`Step 2 complete: 3D generated in ${sculptureGenTime}ms`);
+  await recordSpend(env, { amount: plan.modelCost, provider: "stability", operation: "sculpture", client, hold: plan.hold });
+  
+  // STEP 3: Store GLB and its 2D source image in R2
+  await onStep("storing");
+  const createdAt = new Date();
+  const sculptureId = createArtworkId(createdAt);
+  const sourceImage = inspectImage(imageBytes);
+  if (!sourceImage) {
+    throw new ProviderError("generation_failed", "Provider returned an unrecognised image format");
+  }
+  const key = `sculptures/sculpture-${sculptureId}.glb`;
+  const sourceImageKey = `sculptures/sculpture-${sculptureId}-source.${sourceImage.extension}`;
+
+  // The 2D source is what gets screened; a sculpture that fails is stored
+  // whole under quarantine/ so a reviewer can still publish it
+  const screening = await screenGeneratedImages(
+    env,
+    [{ bytes: imageBytes, contentType: sourceImage.contentType }],
+    prompt
+  );
+  const prefix = screening ? QUARANTINE_PREFIX : "";
+  const [sha256, sourceSha256] = await Promise.all([
+    sha256Hex(glbData),
+    sha256Hex(imageBytes)
+  ]);
+  
+  await Promise.all([
+    env.ART.put(prefix + key, glbData, {
+      httpMetadata: {
+        contentType: 'model/gltf-binary',
+        cacheControl: 'public, max-age=31536000, immutable'
+      },
+      customMetadata: { sha256 }
+    }),
+    env.ART.put(prefix + sourceImageKey, imageBytes, {
+      httpMetadata: {
+        contentType: sourceImage.contentType,
+        cacheControl: 'public, max-age=31536000, immutable'
+      },
+      customMetadata: imageObjectMetadata(sourceImage, sourceSha256)
+    })
+  ]);
+  
+  const totalTime = Date.now() - startTime;
+  console.log(`Sculpture complete! Total time: ${totalTime}ms, stored: ${key}`);
+  
+  const record = {
+    id: sculptureId,
+    type: 'sculpture',
+    key: key,
+    sourceImageKey: sourceImageKey,
+    prompt: prompt,
+    provider: provider.name,
+    model: plan.modelCost ? `${model} + ${SCULPTURE_GENERATION.model}` : model,
+    parameters: {
+      ...plan.parameters,
+      ...SCULPTURE_GENERATION.parameters
+    },
+    cost: plan.cost,
+    timings: {
+      imageGenerationMs: imageGenTime,
+      sculptureGenerationMs: sculptureGenTime,
+      totalMs: totalTime
+    },
+    client: client,
+    size: glbData.byteLength,
+    contentType: 'model/gltf-binary',
+    sha256: sha256,
+    sourceImage: {
+      contentType: sourceImage.contentType,
+      width: sourceImage.width,
+      height: sourceImage.height,
+      sha256: sourceSha256
+    },
+    ...(plan.tags && { tags: plan.tags }),
+    ...(screening && { moderation: quarantinedModeration(screening.rule) }),
+    createdAt: createdAt.toISOString()
+  };
+  await putArtworkMetadata(env, record);
+  if (screening) {
+    await rejectScreenedArtwork(env, [record], screening.rule, client);
+  } else {
+    await touchEventMarker(env);
+  }
+  if (cacheKey) await putCachedArtwork(env, cacheKey, [record]);
+  await indexArtworkForSearch(env, record);
+  if (plan.collectionId) await fileIntoCollection(env, plan.collectionId, [record]);
+  return record;
+}
+
+// The key stays latest.jpg for existing embeds; the content type says what it really is
+function putLatestImage(env, bytes, record) {
+  return env.ART.put("art/latest.jpg", bytes, {
+    httpMetadata: {
+      contentType: record.contentType,
+      cacheControl: "no-store, max-age=0"
+    },
+    customMetadata: {
+      ...(record.sha256 && imageObjectMetadata(record, record.sha256)),
+      id: record.id
+    }
+  });
+}
+
+async function storeUploadedImage(env, key, bytes) {
+  const image = inspectImage(bytes);
+  await env.ART.put(key, bytes, {
+    httpMetadata: {
+      contentType: image.contentType,
+      cacheControl: "public, max-age=31536000, immutable"
+    },
+    customMetadata: imageObjectMetadata(image, await sha256Hex(bytes))
+  });
+}
+
+// Response body of POST /api/generate; the top-level fields describe the
+// first sample, `images` lists every sample with the seed that made it
+function imageGenerationResult(records, origin) {
+  const [first] = records;
+  return {
+    id: first.id,
+    latestUrl: `${origin}/art/latest.jpg`,
+    historyUrl: `${origin}/${first.key}`,
+    prompt: first.prompt,
+    provider: first.provider,
+    model: first.model,
+    parameters: { ...first.parameters, samples: records.length },
+    cost: roundCost(records.reduce((sum, record) => sum + record.cost, 0)),
+    ...(first.operation && {
+      operation: first.operation,
+      parentId: first.parentId,
+      ...(first.sourceImageKey && { sourceImageUrl: `${origin}/${first.sourceImageKey}` })
+    }),
+    images: records.map(record => ({
+      id: record.id,
+      url: `${origin}/${record.key}`,
+      seed: record.parameters.seed ?? null
+    }))
+  };
+}
+
+// Response body of POST /api/generate-sculpture
+function sculptureGenerationResult(record, origin) {
+  const { timings } = record;
+  return {
+    id: record.id,
+    url: `${origin}/${record.key}`,
+    key: record.key,
+    sourceImageUrl: `${origin}/${record.sourceImageKey}`,
+    prompt: record.prompt,
+    generationTime: Math.round(timings.totalMs / 1000), // seconds
+    size: record.size,
+    note: 'Generated from 2D image of prompt (image-to-3D)',
+    timing: {
+      imageGeneration: Math.round(timings.imageGenerationMs / 1000),
+      sculptureGeneration: Math.round(timings.sculptureGenerationMs / 1000),
+      total: Math.round(timings.totalMs / 1000)
+    }
+  };
+}
+
+// ========================================
+// Generation jobs (JSON records in R2 under jobs/, polled via /api/jobs/:id)
+// ========================================
+
+// Opt in with {"async": true} or a "Prefer: respond-async" header
+function wantsAsyncJob(request, body) {
+  return body.async === true || /\brespond-async\b/.test(request.headers.get("prefer") || "");
+}
+
+function jobKey(id) {
+  return `jobs/${id}.json`;
+}
+
+// What a queued job runs, kept until the consumer picks it up
+function jobInputKey(id) {
+  return `jobs/${id}.input.json`;
+}
+
+async function createJob(env, type, { prompt, provider }) {
+  const now = new Date();
+  const runtime = env.JOB_QUEUE ? JOB_CONFIG.QUEUE_DEADLINE_MS : JOB_CONFIG.BACKGROUND_DEADLINE_MS;
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    status: "queued",
+    prompt,
+    provider,
+    steps: [],
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    deadline: new Date(now.getTime() + runtime).toISOString(),
+    result: null,
+    error: null
+  };
+  await saveJob(env, job);
+  return job;
+}
+
+async function saveJob(env, job) {
+  job.updatedAt = new Date().toISOString();
+  await env.ART.put(jobKey(job.id), JSON.stringify(job), {
+    httpMetadata: { contentType: "application/json" }
+  });
+}
+
+async function getJob(env, id) {
+  if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+  const object = await env.ART.get(jobKey(id));
+  return object ? expireStaleJob(await object.json()) : null;
+}
+
+// A job still running past its deadline was cut off with its worker, so report it failed
+function expireStaleJob(job) {
+  if (job.status === "done" || job.status === "failed" || !(Date.now() > Date.parse(job.deadline))) return job;
+  advanceJobStep(job, "failed");
+  job.error = { code: "job_expired", message: PROVIDER_ERRORS.job_expired.message };
+  return job;
+}
+
+// Close the running step (if any) and open the next: queued → image → 3d → storing → done | failed
+function advanceJobStep(job, status) {
+  const now = Date.now();
+  const current = job.steps[job.steps.length - 1];
+  if (current && !current.finishedAt) {
+    current.finishedAt = new Date(now).toISOString();
+    current.durationMs = now - Date.parse(current.startedAt);
+  }
+
+  job.status = status;
+  if (status !== "done" && status !== "failed") {
+    job.steps.push({ name: status, startedAt: new Date(now).toISOString() });
+  }
+}
+
+// Run `task(onStep)` in the background, writing every step change to the job record
+async function runJob(env, job, task) {
+  try {
+    const result = await task(async status => {
+      advanceJobStep(job, status);
+      await saveJob(env, job);
+    });
+    advanceJobStep(job, "done");
+    job.result = result;
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error);
+    const code = error instanceof ProviderError ? error.code : "generation_failed";
+    advanceJobStep(job, "failed");
+    job.error = { code, message: PROVIDER_ERRORS[code].message };
+  }
+  await finishJob(env, job);
+}
+
+async function finishJob(env, job) {
+  job.finishedAt = new Date().toISOString();
+  job.timings = { totalMs: Date.parse(job.finishedAt) - Date.parse(job.createdAt) };
+  await saveJob(env, job);
+}
+
+// Hand `work` ({ type, origin, ... }) to the JOB_QUEUE consumer, or run it in the background
+async function startJob(env, ctx, job, work) {
+  if (!env.JOB_QUEUE) {
+    ctx.waitUntil(runJob(env, job, onStep => runJobWork(env, work, onStep)));
+    return;
+  }
+  await env.ART.put(jobInputKey(job.id), JSON.stringify(mapJobPlans(work, serializePlan)));
+  await env.JOB_QUEUE.send({ jobId: job.id });
+}
+
+// Run a job startJob() queued; one that already started or ran out of time isn't run again
+async function runQueuedJob(env, id) {
+  const [job, input] = await Promise.all([getJob(env, id), env.ART.get(jobInputKey(id))]);
+  const work = input && mapJobPlans(await input.json(), restorePlan);
+  await env.ART.delete(jobInputKey(id));
+  if (!job || !work || job.status !== "queued") return;
+
+  await runJob(env, job, onStep => runJobWork(env, work, onStep));
+}
+
+// Mark a queued job failed when its run broke outside runJob(), e.g. on an unreadable input
+async function failQueuedJob(env, id) {
+  await env.ART.delete(jobInputKey(id));
+  const job = await getJob(env, id);
+  if (!job || job.status === "done" || job.status === "failed") return;
+  advanceJobStep(job, "failed");
+  job.error = { code: "generation_failed", message: PROVIDER_ERRORS.generation_failed.message };
+  await finishJob(env, job);
+}
+
+function runJobWork(env, work, onStep) {
+  if (work.type === "batch") return runGenerationBatch(env, work, work.origin, onStep);
+  const kind = GENERATION_KINDS[work.type];
+  return kind.run(env, work, onStep).then(output => kind.result(output, work.origin));
+}
+
+function mapJobPlans(work, convert) {
+  return work.items
+    ? { ...work, items: work.items.map(item => ({ ...item, plan: convert(item.plan) })) }
+    : { ...work, plan: convert(work.plan) };
+}
+
+// Plans hold a provider object and edit bytes: stored as the provider's name and base64
+function serializePlan(plan) {
+  return {
+    ...plan,
+    provider: plan.provider.name,
+    ...(plan.edit && { edit: {
+      ...plan.edit,
+      image: bytesToBase64(plan.edit.image),
+      mask: plan.edit.mask && bytesToBase64(plan.edit.mask)
+    } })
+  };
+}
+
+function restorePlan(plan) {
+  return {
+    ...plan,
+    provider: IMAGE_PROVIDERS[plan.provider],
+    ...(plan.edit && { edit: {
+      ...plan.edit,
+      image: base64ToBytes(plan.edit.image),
+      mask: plan.edit.mask && base64ToBytes(plan.edit.mask)
+    } })
+  };
+}
+
+// 202 body for a job that was just queued
+function jobAccepted(job, origin) {
+  return {
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `${origin}/api/jobs/${job.id}`
+  };
+}
+
+// ========================================
+// Live events (Server-Sent Events fed by jobs/ and the meta/ index)
+// ========================================
+
+const EVENT_STREAM_CONFIG = {
+  POLL_INTERVAL_MS: 2000,
+  HEARTBEAT_MS: 15000,
+  MAX_DURATION_MS: 5 * 60 * 1000 // then close; EventSource reconnects by itself
+};
+
+// Rewritten whenever artwork is published, so streams only list meta/ when it changes
+const EVENT_MARKER_KEY = "events/latest.json";
+
+async function touchEventMarker(env) {
+  await env.ART.put(EVENT_MARKER_KEY, JSON.stringify({ updatedAt: new Date().toISOString() }), {
+    httpMetadata: { contentType: "application/json" }
+  });
+}
+
+// Send `job` and `artwork` SSE events to `writer` until the client leaves or the stream ages out
+async function streamGalleryEvents(env, origin, { jobId, since }, writer) {
+  const encoder = new TextEncoder();
+  const write = text => writer.write(encoder.encode(text));
+  const send = (event, data, id) =>
+    write(`${id ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  const startedAt = Date.now();
+  const lastSeen = { image: since, sculpture: since };
+  let lastJobUpdate = null;
+  let lastMarker;
+  let lastWrite = Date.now();
+
+  try {
+    await write(`retry: ${EVENT_STREAM_CONFIG.POLL_INTERVAL_MS}\n\n`);
+
+    while (Date.now() - startedAt < EVENT_STREAM_CONFIG.MAX_DURATION_MS) {
+      if (jobId) {
+        const job = await getJob(env, jobId);
+        if (!job) {
+          await send("error", { error: "job_not_found" });
+          jobId = null;
+        } else if (job.updatedAt !== lastJobUpdate) {
+          lastJobUpdate = job.updatedAt;
+          await send("job", job);
+          lastWrite = Date.now();
+          if (job.status === "done" || job.status === "failed") jobId = null;
+        }
+      }
+
+      // One HEAD per poll; the index is listed at the start and after each publish
+      const marker = (await env.ART.head(EVENT_MARKER_KEY))?.etag ?? null;
+      const published = marker !== lastMarker;
+      lastMarker = marker;
+
+      for (const type of published ? Object.keys(lastSeen) : []) {
+        const records = await listArtworkCreatedAfter(env, type, lastSeen[type]);
+        for (const record of records) {
+          await send("artwork", {
+            ...toPublicArtwork(record, origin),
+            ...(type === "image" && { latestUrl: `${origin}/art/latest.jpg` })
+          }, record.createdAt);
+          lastSeen[type] = new Date(record.createdAt);
+          lastWrite = Date.now();
+        }
+      }
+
+      // Comments keep proxies from closing an idle connection
+      if (Date.now() - lastWrite >= EVENT_STREAM_CONFIG.HEARTBEAT_MS) {
+        await write(": keep-alive\n\n");
+        lastWrite = Date.now();
+      }
+
+      await new Promise(resolve => setTimeout(resolve, EVENT_STREAM_CONFIG.POLL_INTERVAL_MS));
+    }
+  } catch (error) {
+    // Writes fail once the client disconnects; nothing left to do
+  } finally {
+    writer.close().catch(() => {});
+  }
+}
+
+// ========================================
+// Generation request guard (shared by every generation route)
+// ========================================
+
+function jsonResponse(data, status = 200, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: {
+      "content-type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      ...headers
+    }
+  });
+}
+
+// Every generation route's checks; resolves to { prompt, body, client, plan, rateLimitHeaders, cacheKey, cached } or { response }
+async function guardGenerationRequest(request, env, url, options) {
+  const admitted = await admitGenerationRequest(request, env, url, options);
+  if (admitted.response) return admitted;
+  const { principal, client, rateLimitHeaders, body, uploads } = admitted;
+
+  const vetted = await vetGenerationPrompt(env, body, uploads, options, principal, client);
+  if (vetted.error) {
+    return { response: jsonResponse({
+      error: vetted.error,
+      message: vetted.message
+    }, vetted.status || 400, rateLimitHeaders) };
+  }
+  const { prompt, plan } = vetted;
+
+  // 7) Prompt-result cache: an identical earlier request is answered from R2,
+  // uncharged, so it runs before (and isn't stopped by) the spending caps
+  const { cacheKey, cached } = await lookUpPromptCache(request, env, body, prompt, plan, options.cacheKind);
+  if (cached) {
+    await recordCachedAnswer(env, cached, plan, options.cacheKind, client);
+    await recordApiKeyRequest(env, principal);
+    return { prompt, body, client, plan, rateLimitHeaders, cacheKey, cached };
+  }
+
+  // 8) Spending caps (daily, weekly, monthly, the key's daily budget), holding the cost until it's charged
+  const reserved = await reserveSpend(env, [plan.cost], principal);
+  if (reserved.error) {
+    return { response: jsonResponse(reserved, 429, rateLimitHeaders) };
+  }
+  plan.hold = reserved.holds[0];
+
+  await recordApiKeyRequest(env, principal);
+
+  return { prompt, body, client, plan, rateLimitHeaders, cacheKey, cached: null };
+}
+
+// Guard steps 0-3 (size, auth, rate limits, body): { principal, client, rateLimitHeaders, body, uploads } or { response }
+async function admitGenerationRequest(request, env, url, options) {
+  // 0) Request size validation (routes taking uploads allow an image and a mask)
+  const maxSize = options.maxSize ?? (options.uploads
+    ? 2 * SECURITY_CONFIG.MAX_UPLOAD_SIZE + SECURITY_CONFIG.MAX_REQUEST_SIZE
+    : SECURITY_CONFIG.MAX_REQUEST_SIZE);
+  const contentLength = request.headers.get("content-length");
+  if (contentLength && parseInt(contentLength) > maxSize) {
+    return { response: jsonResponse({ 
+      error: "request_too_large",
+      message: `Request body exceeds ${Math.round(maxSize / 1000)}KB limit`
+    }, 413) };
+  }
+
+  // 1) Authentication check
+  // Our own frontend (same origin) or an API key with the route's scope
+  const auth = await requireScope(request, env, url, options.scope ?? null);
+  if (auth.response) return auth;
+  const { principal } = auth;
+
+  const client = describeClient(request, principal);
+
+  // 2) Rate limiting (routes that count several hits per request do it themselves)
+  let rateLimitHeaders = {};
+  if (options.rateLimit !== false) {
+    const limited = await checkRateLimits(env, principal, client);
+    if (limited.response) return limited;
+    ({ rateLimitHeaders } = limited);
+  }
+
+  // 3) Parse request body (multipart too when the route takes uploads)
+  let body = {};
+  let uploads = {};
+  const isMultipart = (request.headers.get("content-type") || "").startsWith("multipart/form-data");
+  try {
+    if (options.uploads && isMultipart) {
+      ({ body, uploads } = await parseMultipartBody(request));
+    } else {
+      body = await request.json();
+    }
+  } catch (e) {
+    return { response: jsonResponse({ 
+      error: "invalid_json",
+      message: options.uploads
+        ? "Request body must be valid JSON or multipart/form-data"
+        : "Request body must be valid JSON"
+    }, 400, rateLimitHeaders) };
+  }
+
+  const oversizedUpload = Object.keys(uploads)
+    .find(name => uploads[name].length > SECURITY_CONFIG.MAX_UPLOAD_SIZE);
+  if (oversizedUpload) {
+    return { response: jsonResponse({ 
+      error: "request_too_large",
+      message: `${oversizedUpload} exceeds the ${SECURITY_CONFIG.MAX_UPLOAD_SIZE / (1024 * 1024)}MB upload limit`
+    }, 413, rateLimitHeaders) };
+  }
+
+  return { principal, client, rateLimitHeaders, body, uploads };
+}
+
+// Per-caller and global rate limits (if Upstash configured), `hits` requests' worth:
+// { rateLimitHeaders } or { response }
+async function checkRateLimits(env, principal, client, hits = 1) {
+  const rateLimitHeaders = {};
+  if (!env.UPSTASH_REDIS_REST_URL || !env.UPSTASH_REDIS_REST_TOKEN) return { rateLimitHeaders };
+
+  const redis = Redis.fromEnv(env);
+  
+  // Issued keys have their own per-minute limit; everyone else is limited per IP
+  const keyLimited = Boolean(principal.rateLimit);
+  const callerLimiter = new Ratelimit({
+    redis,
+    limiter: Ratelimit.fixedWindow(keyLimited ? principal.rateLimit : SECURITY_CONFIG.IP_RATE_LIMIT, "1 m"),
+    prefix: keyLimited ? "rl:key" : "rl:ip"
+  });
+  
+  const { success: callerSuccess, limit, remaining, reset } =
+    await callerLimiter.limit(keyLimited ? principal.id : client.ip, { rate: hits });
+  rateLimitHeaders["x-ratelimit-limit"] = String(limit);
+  rateLimitHeaders["x-ratelimit-remaining"] = String(remaining);
+  rateLimitHeaders["x-ratelimit-reset"] = String(reset);
+
+  if (!callerSuccess) {
+    return { response: jsonResponse({ 
+      error: "rate_limit_exceeded",
+      message: keyLimited
+        ? "Too many requests for this API key. Try again in 1 minute."
+        : "Too many requests from your IP. Try again in 1 minute."
+    }, 429, rateLimitHeaders) };
+  }
+
+  // Global rate limit (across all users)
+  const globalLimiter = new Ratelimit({
+    redis,
+    limiter: Ratelimit.fixedWindow(SECURITY_CONFIG.GLOBAL_RATE_LIMIT, "1 h"),
+    prefix: "rl:global"
+  });
+  
+  const { success: globalSuccess } = await globalLimiter.limit("all", { rate: hits });
+  if (!globalSuccess) {
+    return { response: jsonResponse({ 
+      error: "global_rate_limit_exceeded",
+      message: "System is currently at capacity. Please try again later."
+    }, 429, rateLimitHeaders) };
+  }
+
+  return { rateLimitHeaders };
+}
+
+// Guard steps 4-6 for one prompt (validation, filtering, plan, collection): { prompt, plan } or { error, message, status }
+async function vetGenerationPrompt(env, body, uploads, options, principal, client) {
+  // 4) Validate prompt (routes with `promptOptional` let the plan supply one)
+  const prompt = String(body.prompt || "").trim();
+  
+  if (prompt ? prompt.length < SECURITY_CONFIG.MIN_PROMPT_LENGTH : !options.promptOptional) {
+    return {
+      error: "invalid_prompt",
+      message: `Prompt must be at least ${SECURITY_CONFIG.MIN_PROMPT_LENGTH} characters`
+    };
+  }
+
+  if (prompt.length > SECURITY_CONFIG.MAX_PROMPT_LENGTH) {
+    return {
+      error: "prompt_too_long",
+      message: `Prompt must be less than ${SECURITY_CONFIG.MAX_PROMPT_LENGTH} characters`
+    };
+  }
+
+  // 5) Content filtering
+  if (prompt) {
+    const verdict = await moderatePrompt(env, prompt, options.policy);
+    logModerationDecision(verdict, client);
+    if (verdict.blocked) {
+      return {
+        error: "inappropriate_prompt",
+        message: "Prompt contains inappropriate content"
+      };
+    }
+  }
+
+  // 6) Resolve provider and cost for this request
+  const plan = await options.plan(body, uploads);
+  if (plan.error) return plan;
+
+  // The pipelines file results into `collection` when the caller may edit it
+  if (body.collection !== undefined) {
+    const target = await checkCollectionTarget(env, body.collection, principal);
+    if (target.error) return target;
+    plan.collectionId = target.id;
+  }
+
+  return { prompt: plan.prompt ?? prompt, plan };
+}
+
+// { cacheKey, cached }: the cache key to remember a result under (null when
+// the cache is off for this kind) and an identical earlier result, if any
+async function lookUpPromptCache(request, env, body, prompt, plan, cacheKind) {
+  if (!cacheKind || !isPromptCacheEnabled(env)) return { cacheKey: null, cached: null };
+  const cacheKey = await promptCacheKey(cacheKind, prompt, plan);
+  const cached = !bypassesPromptCache(request, body) && await getCachedArtwork(env, cacheKey);
+  return { cacheKey, cached: cached || null };
+}
+
+// A cache hit is filed like a fresh result and logged with the spend it saved
+async function recordCachedAnswer(env, cached, plan, cacheKind, client) {
+  if (plan.collectionId) await fileIntoCollection(env, plan.collectionId, cached);
+  await recordCacheHit(env, {
+    saved: plan.cost,
+    provider: plan.provider.name,
+    operation: cacheKind,
+    client
+  });
+}
+
+// Text fields become body properties (numbers and booleans parsed, as JSON
+// would give them); files become Uint8Arrays in `uploads`
+async function parseMultipartBody(request) {
+  const form = await request.formData();
+  const body = {};
+  const uploads = {};
+
+  for (const [name, value] of form) {
+    if (typeof value === "string") {
+      const text = value.trim();
+      body[name] = /^-?\d+(\.\d+)?$/.test(text) ? Number(text)
+        : text === "true" || text === "false" ? text === "true"
+        : value;
+    } else {
+      uploads[name] = new Uint8Array(await value.arrayBuffer());
+    }
+  }
+
+  return { body, uploads };
+}
+
+function planImageGeneration(body, env) {
+  const selection = selectImageProvider(env, body.provider);
+  if (selection.error) return selection;
+
+  const requested = parseGenerationParameters(body);
+  if (requested.error) return requested;
+
+  const { provider } = selection;
+  const model = provider.defaultModel;
+  const resolved = resolveGenerationParameters(provider, model, requested.parameters);
+  if (resolved.error) return resolved;
+
+  const { parameters, randomSeed } = resolved;
+  return { provider, model, parameters, randomSeed, cost: roundCost(provider.models[model].cost(parameters)) };
+}
+
+function planSculptureGeneration(body, env) {
+  const selection = selectImageProvider(env, body.provider);
+  if (selection.error) return selection;
+
+  const { provider } = selection;
+  const usesStub = provider.name === "stub";
+  if (!usesStub && !IMAGE_PROVIDERS.stability.isConfigured(env)) {
+    return {
+      error: "provider_not_configured",
+      message: "Sculptures need STABILITY_API_KEY for the 3D step"
+    };
+  }
+
+  const model = provider.sculptureModel;
+  const { parameters, randomSeed } = resolveGenerationParameters(provider, model, {});
+  const imageCost = roundCost(provider.models[model].cost(parameters));
+  const modelCost = usesStub ? 0 : SCULPTURE_GENERATION.modelCost;
+  return { provider, model, parameters, randomSeed, imageCost, modelCost, cost: imageCost + modelCost };
+}
+
+// Plan an edit of a gallery `source` or uploaded `image` (plus a `mask` for inpainting)
+async function planImageEdit(operation, body, uploads, env) {
+  const selection = selectImageProvider(env, body.provider);
+  if (selection.error) return selection;
+
+  const { provider } = selection;
+  const model = provider.editModel;
+  const spec = model && provider.models[model];
+  if (!spec?.edits.includes(operation)) {
+    return {
+      error: "unsupported_operation",
+      message: `Provider ${provider.name} cannot run ${operation}`
+    };
+  }
+
+  const source = await loadEditSource(env, body, uploads);
+  if (source.error) return source;
+
+  if (spec.inputFormats && !spec.inputFormats.includes(source.format)) {
+    return {
+      error: "unsupported_image",
+      message: `${model} (${provider.name}) only edits ${spec.inputFormats.join(", ")} images`
+    };
+  }
+  if (!resolveSize(spec, source)) {
+    return {
+      error: "unsupported_image",
+      message: `${model} (${provider.name}) cannot edit a ${source.width}x${source.height} image`
+    };
+  }
+
+  if (EDIT_OPERATIONS[operation].mask) {
+    const mask = uploads.mask && inspectImage(uploads.mask);
+    if (!mask || mask.width !== source.width || mask.height !== source.height) {
+      return {
+        error: "invalid_mask",
+        message: `Inpainting needs a PNG, JPEG or WebP mask file of ${source.width}x${source.height}, white where the image may change`
+      };
+    }
+  }
+
+  const prompt = String(body.prompt || "").trim() || source.prompt;
+  if (!prompt) {
+    return { error: "invalid_prompt", message: "A prompt is required unless the source artwork has one" };
+  }
+
+  for (const name of ["width", "height", "aspectRatio"]) {
+    if (body[name] !== undefined) {
+      return { error: "unsupported_parameter", message: `Edits keep the source image's size; ${name} can't be set` };
+    }
+  }
+
+  const requested = parseGenerationParameters(body);
+  if (requested.error) return requested;
+
+  const { defaults } = EDIT_OPERATIONS[operation];
+  if (body.strength !== undefined) {
+    const { min, max } = SECURITY_CONFIG.PARAMETER_LIMITS.strength;
+    if (defaults.strength === undefined) {
+      return { error: "unsupported_parameter", message: `${operation} does not accept strength` };
+    }
+    if (typeof body.strength !== "number" || body.strength < min || body.strength > max) {
+      return invalidParameter("strength", `must be a number from ${min} to ${max}`);
+    }
+  }
+
+  const resolved = resolveGenerationParameters(provider, model, {
+    ...requested.parameters,
+    width: source.width,
+    height: source.height
+  });
+  if (resolved.error) return resolved;
+
+  const parameters = { ...resolved.parameters, ...defaults };
+  if (body.strength !== undefined) parameters.strength = body.strength;
+
+  return {
+    provider,
+    model,
+    prompt,
+    parameters,
+    cost: roundCost(spec.cost(parameters)),
+    edit: {
+      operation,
+      parentId: source.parentId,
+      image: source.bytes,
+      format: source.format,
+      mask: uploads.mask || null
+    }
+  };
+}
+
+// Resolves to { bytes, format, width, height, parentId, prompt } or { error, message, status }
+async function loadEditSource(env, body, uploads) {
+  if (uploads.image) {
+    if (body.source) {
+      return { error: "invalid_source", message: "Send either a source artwork or an image file, not both" };
+    }
+    const dimensions = inspectImage(uploads.image);
+    if (!dimensions) {
+      return { error: "unsupported_image", message: "Uploaded images must be PNG, JPEG or WebP" };
+    }
+    return { bytes: uploads.image, ...dimensions, parentId: null, prompt: null };
+  }
+
+  const id = String(body.source || "").replace(/^\/?art\//, "").replace(/\.(jpg|png|webp)$/, "");
+  if (!ARTWORK_ID_PATTERN.test(id)) {
+    return {
+      error: "invalid_source",
+      message: "Send a source artwork (an image id or its art/ key) or an image file"
+    };
+  }
+
+  const record = await getArtworkMetadata(env, "image", id);
+  const object = record && await env.ART.get(record.key);
+  if (!object) {
+    return { error: "source_not_found", message: `No image ${id} in the gallery`, status: 404 };
+  }
+
+  const bytes = new Uint8Array(await object.arrayBuffer());
+  const dimensions = inspectImage(bytes);
+  if (!dimensions) {
+    return { error: "unsupported_image", message: `Image ${id} is not a PNG, JPEG or WebP` };
+  }
+  return { bytes, ...dimensions, parentId: id, prompt: record.prompt };
+}
+
+// Provider prices are fractions of a cent; keep sums free of float noise
+function roundCost(usd) {
+  return Math.round(usd * 1e6) / 1e6;
+}
+
+// Providers throw ProviderError with a stable code; anything else is a bug
+function generationErrorResponse(error, headers = {}) {
+  const code = error instanceof ProviderError ? error.code : "generation_failed";
+  const { status, message } = PROVIDER_ERRORS[code];
+
+  return jsonResponse({ 
+    error: code,
+    message: message
+  }, status, headers);
+}
+
+// ========================================
+// Batch generation (POST /api/generate/batch)
+// ========================================
+
+// What each kind of generation runs, with the same checks as its own route
+// (batch items and scheduled generation pick one by `type`)
+const GENERATION_KINDS = {
+  image: {
+    scope: "generate-image",
+    policy: "image",
+    cacheKind: "image",
+    plan: planImageGeneration,
+    run: runImageGeneration,
+    result: imageGenerationResult,
+    cachedResult: imageGenerationResult
+  },
+  sculpture: {
+    scope: "generate-sculpture",
+    policy: "sculpture",
+    cacheKind: "sculpture",
+    plan: planSculptureGeneration,
+    run: runSculptureGeneration,
+    result: sculptureGenerationResult,
+    cachedResult: (records, origin) => sculptureGenerationResult(records[0], origin)
+  }
+};
+
+// Check every batch item up front and hold each one's cost: { body, client, items, rateLimitHeaders } or { response }
+async function guardBatchRequest(request, env, url) {
+  const admitted = await admitGenerationRequest(request, env, url, {
+    scope: null, // checked per item type below
+    maxSize: BATCH_CONFIG.MAX_REQUEST_SIZE,
+    rateLimit: false // one hit per item, below
+  });
+  if (admitted.response) return admitted;
+  const { principal, client, body } = admitted;
+
+  // A malformed list still costs one hit, so it can't be sent without limit
+  const validList = Array.isArray(body.items) && body.items.length > 0 && body.items.length <= BATCH_CONFIG.MAX_ITEMS;
+  const limited = await checkRateLimits(env, principal, client, validList ? body.items.length : 1);
+  if (limited.response) return limited;
+  const { rateLimitHeaders } = limited;
+
+  if (!validList) {
+    return { response: jsonResponse({
+      error: "invalid_items",
+      message: `items must be a list of 1-${BATCH_CONFIG.MAX_ITEMS} generation requests`
+    }, 400, rateLimitHeaders) };
+  }
+
+  const failures = [];
+  const items = [];
+  for (const [index, entry] of body.items.entries()) {
+    if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+      failures.push({ index, error: "invalid_item", message: "Each item must be a JSON object" });
+      continue;
+    }
+
+    const type = entry.type ?? "image";
+    const kind = GENERATION_KINDS[type];
+    if (!kind) {
+      failures.push({ index, error: "invalid_type", message: "type must be image or sculpture" });
+      continue;
+    }
+    if (!principal.scopes.includes(kind.scope)) {
+      return { response: jsonResponse({
+        error: "forbidden",
+        message: `This key does not have the ${kind.scope} scope`
+      }, 403, rateLimitHeaders) };
+    }
+
+    const itemBody = body.collection !== undefined && entry.collection === undefined
+      ? { ...entry, collection: body.collection }
+      : entry;
+    const vetted = await vetGenerationPrompt(env, itemBody, {}, {
+      policy: kind.policy,
+      plan: () => kind.plan(itemBody, env)
+    }, principal, client);
+    if (vetted.error) {
+      failures.push({ index, error: vetted.error, message: vetted.message });
+      continue;
+    }
+
+    const { prompt, plan } = vetted;
+    const { cacheKey, cached } = await lookUpPromptCache(request, env, itemBody, prompt, plan, kind.cacheKind);
+    items.push({ index, type, prompt, plan, cacheKey, cached });
+  }
+
+  if (failures.length) {
+    return { response: jsonResponse({
+      error: "invalid_batch",
+      message: `${failures.length} of ${body.items.length} items were rejected; nothing was generated`,
+      failures
+    }, 400, rateLimitHeaders) };
+  }
+
+  const paid = items.filter(item => !item.cached);
+  const reserved = await reserveSpend(env, paid.map(item => item.plan.cost), principal);
+  if (reserved.error) {
+    return { response: jsonResponse(reserved, 429, rateLimitHeaders) };
+  }
+
+  paid.forEach((item, i) => { item.plan.hold = reserved.holds[i]; });
+  for (const item of items.filter(item => item.cached)) {
+    await recordCachedAnswer(env, item.cached, item.plan, GENERATION_KINDS[item.type].cacheKind, client);
+  }
+  await recordApiKeyRequest(env, principal);
+
+  return { body, client, items, rateLimitHeaders };
+}
+
+// Run a guarded batch a few items at a time; failures are reported per item, never thrown
+async function runGenerationBatch(env, { items, client }, origin, onStep = async () => {}) {
+  const results = [];
+  const queue = [...items];
+  await onStep("generating");
+
+  const runItem = async item => {
+    const kind = GENERATION_KINDS[item.type];
+    if (item.cached) {
+      return { index: item.index, type: item.type, status: "done", cached: true, result: kind.cachedResult(item.cached, origin) };
+    }
+
+    try {
+      const output = await kind.run(env, { prompt: item.prompt, plan: item.plan, client, cacheKey: item.cacheKey });
+      return { index: item.index, type: item.type, status: "done", result: kind.result(output, origin) };
+    } catch (error) {
+      console.error(`Batch item ${item.index} failed:`, error);
+      const code = error instanceof ProviderError ? error.code : "generation_failed";
+      return { index: item.index, type: item.type, status: "failed", error: { code, message: PROVIDER_ERRORS[code].message } };
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(BATCH_CONFIG.CONCURRENCY, items.length) }, async () => {
+    while (queue.length) {
+      const item = queue.shift();
+      results[item.index] = await runItem(item);
+    }
+  }));
+
+  const failed = results.filter(result => result.status === "failed").length;
+  return {
+    count: results.length,
+    succeeded: results.length - failed,
+    failed,
+    items: results
+  };
+}
+
+// ========================================
+// Prompt moderation (word lists from PROMPT_MODERATION and KV, plus an optional provider)
+// ========================================
+
+const MODERATION_LIST_PREFIX = "moderation:";
+
+// Letters from other scripts that render like Latin ones
+const HOMOGLYPHS = {
+  "а": "a", "в": "b", "с": "c", "е": "e", "н": "h", "і": "i", "ј": "j", "к": "k",
+  "м": "m", "о": "o", "р": "p", "ѕ": "s", "т": "t", "х": "x", "у": "y",
+  "α": "a", "β": "b", "ε": "e", "η": "n", "ι": "i", "κ": "k", "ν": "v",
+  "ο": "o", "ρ": "p", "τ": "t", "υ": "u", "χ": "x"
+};
+
+const LEETSPEAK = {
+  "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "8": "b",
+  "@": "a", "$": "s", "!": "i", "|": "l"
+};
+
+// Lowercase plain words with accents, look-alikes, leetspeak and letter spacing folded away
+function normalizePromptWords(text) {
+  const folded = text
+    .normalize("NFKD")
+    .replace(/\p{M}|[\u00ad\u200b-\u200d\u2060\ufeff]/gu, "")
+    .toLowerCase();
+
+  const words = [];
+  let letters = "";
+  for (const token of folded.match(/[\p{L}\p{N}@$!|]+/gu) || []) {
+    let word = [...token].map(ch => HOMOGLYPHS[ch] ?? ch).join("").replace(/[!|]+$/, "");
+    if (/\p{L}/u.test(word)) {
+      word = word.replace(/[0134578@$!|]/g, ch => LEETSPEAK[ch]);
+    }
+    const squeezed = word.replace(/(\p{L})\1{2,}/gu, "$1");
+    if (squeezed.length >= 3) word = squeezed; // "nuuude", but not "xxx" → "x"
+    if (!word) continue;
+
+    if (word.length === 1 && /\p{L}/u.test(word)) {
+      letters += word;
+      continue;
+    }
+    pushSpacedLetters(words, letters);
+    letters = "";
+    words.push(word);
+  }
+  pushSpacedLetters(words, letters);
+  return words;
+}
+
+// "s e x" is one spelled-out word, but one or two lone letters ("a", "b c") stay apart
+function pushSpacedLetters(words, letters) {
+  if (letters.length >= 3) words.push(letters);
+  else words.push(...letters);
+}
+
+// `source` says where a term came from ("builtin" or "kv") for the decision log
+function compileModerationTerm(term, source) {
+  const prefix = term.endsWith("*");
+  return { term, source, prefix, words: normalizePromptWords(prefix ? term.slice(0, -1) : term) };
+}
+
+function matchesModerationTerm(words, start, { words: termWords, prefix }) {
+  if (!termWords.length) return false;
+  return termWords.every((termWord, i) => {
+    const word = words[start + i];
+    if (word === undefined) return false;
+    if (i < termWords.length - 1) return word === termWord;
+    if (prefix) return word.startsWith(termWord);
+    return word === termWord || word === `${termWord}s` || word === `${termWord}es`;
+  });
+}
+
+// The first deny term found in `words` outside the spans allow terms cover
+function findDeniedTerm(words, { deny, allow }) {
+  const allowed = new Set();
+  for (const term of allow) {
+    for (let i = 0; i < words.length; i++) {
+      if (!matchesModerationTerm(words, i, term)) continue;
+      term.words.forEach((_, j) => allowed.add(i + j));
+    }
+  }
+
+  for (const term of deny) {
+    for (let i = 0; i < words.length; i++) {
+      if (!matchesModerationTerm(words, i, term)) continue;
+      if (!term.words.every((_, j) => allowed.has(i + j))) return term;
+    }
+  }
+  return null;
+}
+
+// Admin-managed additions to a policy: moderation:<policy> → { deny, allow }
+async function getCustomModerationLists(env, policy, { fresh = false } = {}) {
+  const lists = await env.SPEND_TRACKER.get(`${MODERATION_LIST_PREFIX}${policy}`, {
+    type: "json",
+    ...(!fresh && { cacheTtl: PROMPT_MODERATION.LIST_CACHE_SECONDS })
+  });
+  return { deny: lists?.deny || [], allow: lists?.allow || [] };
+}
+
+async function putCustomModerationLists(env, policy, lists) {
+  await env.SPEND_TRACKER.put(`${MODERATION_LIST_PREFIX}${policy}`, JSON.stringify(lists));
+}
+
+// Validate the body of PUT /api/admin/moderation/<policy>
+function parseModerationLists(body) {
+  const lists = {};
+  for (const name of ["deny", "allow"]) {
+    const terms = body?.[name] ?? [];
+    if (!Array.isArray(terms) || terms.length > PROMPT_MODERATION.MAX_LIST_TERMS) {
+      return { error: "invalid_list", message: `${name} must be a list of at most ${PROMPT_MODERATION.MAX_LIST_TERMS} terms` };
+    }
+    const invalid = terms.find(term =>
+      typeof term !== "string"
+      || term.length > PROMPT_MODERATION.MAX_TERM_LENGTH
+      || !normalizePromptWords(term.replace(/\*$/, "")).length
+    );
+    if (invalid !== undefined) {
+      return {
+        error: "invalid_term",
+        message: `Terms must be words of at most ${PROMPT_MODERATION.MAX_TERM_LENGTH} characters: ${JSON.stringify(invalid)}`
+      };
+    }
+    lists[name] = [...new Set(terms.map(term => term.trim()))];
+  }
+  return { lists };
+}
+
+// Word lists, then the moderation provider: { blocked, policy, rule }
+async function moderatePrompt(env, prompt, policy) {
+  const custom = await getCustomModerationLists(env, policy);
+  const builtIn = PROMPT_MODERATION.POLICIES[policy];
+  const denied = findDeniedTerm(normalizePromptWords(prompt), {
+    deny: [
+      ...builtIn.deny.map(term => compileModerationTerm(term, "builtin")),
+      ...custom.deny.map(term => compileModerationTerm(term, "kv"))
+    ],
+    allow: [
+      ...builtIn.allow.map(term => compileModerationTerm(term, "builtin")),
+      ...custom.allow.map(term => compileModerationTerm(term, "kv"))
+    ]
+  });
+  if (denied) {
+    return { blocked: true, policy, rule: `deny:${denied.source}:${denied.term}` };
+  }
+
+  const provider = selectModerationProvider(env);
+  if (!provider) return { blocked: false, policy, rule: null };
+
+  try {
+    const { flagged, categories } = await provider.check(prompt, env);
+    return flagged
+      ? { blocked: true, policy, rule: `provider:${provider.name}:${categories.join(",")}` }
+      : { blocked: false, policy, rule: null };
+  } catch (error) {
+    return { blocked: false, policy, rule: `provider_error:${provider.name}`, detail: error.message };
+  }
+}
+
+// One line per decision for Workers Logs; prompts themselves stay out of it
+function logModerationDecision(verdict, client) {
+  console.log(JSON.stringify({
+    event: "prompt_moderation",
+    decision: verdict.blocked ? "block" : "allow",
+    policy: verdict.policy,
+    rule: verdict.rule,
+    ...(verdict.detail && { detail: verdict.detail }),
+    keyId: client.keyId,
+    ip: client.ip
+  }));
+}
+
+// Hosted moderation models (MODERATION_PROVIDER): isConfigured, check, optional checkImage, translateError
+const MODERATION_PROVIDERS = {
+  openai: {
+    name: "openai",
+
+    isConfigured(env) {
+      return Boolean(env.OPENAI_API_KEY);
+    },
+
+    async check(prompt, env) {
+      return this.moderate(prompt, env);
+    },
+
+    // Used by output screening; images go in as data URLs
+    async checkImage({ bytes, contentType }, env) {
+      return this.moderate([
+        { type: "image_url", image_url: { url: `data:${contentType};base64,${bytesToBase64(bytes)}` } }
+      ], env);
+    },
+
+    async moderate(input, env) {
+      const response = await providerFetch(this, "https://api.openai.com/v1/moderations", {
+        method: "POST",
+        headers: {
+          "authorization": `Bearer ${env.OPENAI_API_KEY}`,
+          "content-type": "application/json"
+        },
+        body: JSON.stringify({ model: "omni-moderation-latest", input })
+      });
+      const { results: [result] } = await response.json();
+      return {
+        flagged: result.flagged,
+        categories: Object.keys(result.categories).filter(name => result.categories[name])
+      };
+    },
+
+    translateError(status, text) {
+      return IMAGE_PROVIDERS.openai.translateError(status, text);
+    }
+  }
+};
+
+function selectModerationProvider(env) {
+  const provider = MODERATION_PROVIDERS[env.MODERATION_PROVIDER];
+  return provider?.isConfigured(env) ? provider : null;
+}
+
+// ========================================
+// Output screening (generated images are checked before anything is published)
+// ========================================
+
+// Image classifiers (IMAGE_SCREENING): isConfigured and screen
+const SCREENING_CLASSIFIERS = {
+  // Offline classifier for tests: flags any image whose prompt has [stub:unsafe] in it
+  stub: {
+    name: "stub",
+
+    isConfigured() {
+      return true;
+    },
+
+    async screen(image, env, { prompt }) {
+      const flagged = prompt.includes("[stub:unsafe]");
+      return { flagged, categories: flagged ? ["stub"] : [] };
+    }
+  },
+
+  openai: {
+    name: "openai",
+
+    isConfigured(env) {
+      return MODERATION_PROVIDERS.openai.isConfigured(env);
+    },
+
+    async screen(image, env) {
+      return MODERATION_PROVIDERS.openai.checkImage(image, env);
+    }
+  }
+};
+
+function selectScreeningClassifier(env) {
+  const classifier = SCREENING_CLASSIFIERS[env.IMAGE_SCREENING];
+  return classifier?.isConfigured(env) ? classifier : null;
+}
+
+// null when images may be published, else { rule } (a failed classifier also withholds them)
+async function screenGeneratedImages(env, images, prompt) {
+  const classifier = selectScreeningClassifier(env);
+  if (!classifier) return null;
+
+  for (const image of images) {
+    let verdict;
+    try {
+      verdict = await classifier.screen(image, env, { prompt });
+    } catch (error) {
+      console.error(`Screening with ${classifier.name} failed:`, error);
+      return { rule: `screening_error:${classifier.name}` };
+    }
+    if (verdict.flagged) {
+      return { rule: `screening:${classifier.name}:${verdict.categories.join(",")}` };
+    }
+  }
+  return null;
+}
+
+// Moderation state of an item screening stopped; admins find it with
+// ?status=quarantined on /api/admin/images or /api/admin/sculptures
+function quarantinedModeration(rule) {
+  return { status: "quarantined", reason: rule, by: "screening", at: new Date().toISOString() };
+}
+
+// Log the hold for review, then fail the request with output_flagged
+async function rejectScreenedArtwork(env, records, rule, client) {
+  await Promise.all(records.map(record => recordAuditEntry(env, {
+    action: "quarantine",
+    type: record.type,
+    id: record.id,
+    from: null,
+    to: "quarantined",
+    reason: rule
+  }, client)));
+  throw new ProviderError("output_flagged", rule);
+}
+
+// ========================================
+// Spend ledger (SpendLedger Durable Object, or SPEND_TRACKER KV without it: running totals per UTC day, and holds)
+// ========================================
+
+// Storage keys: day:<YYYY-MM-DD> → that day's summary, hold:<id> → an unsettled estimate
+const LEDGER_DAY_PREFIX = "day:";
+const LEDGER_HOLD_PREFIX = "hold:";
+const LEDGER_HOLD_TTL_MS = 60 * 60 * 1000; // outlives any job; covers runs that never settle
+
+function utcDay(date = new Date()) {
+  return date.toISOString().slice(0, 10); // YYYY-MM-DD
+}
+
+// One instance for the whole gallery, so a cap check and the hold it grants happen in one step
+export class SpendLedger extends DurableObject {
+  get storage() {
+    return this.ctx.storage;
+  }
+
+  // Hold each of `amounts` unless together they'd break a cap: { holds: [id, ...] } or { error, message }
+  async reserve(amounts, { keyId = null, dailyBudget = null } = {}) {
+    const now = new Date();
+    const [totals, holds] = await Promise.all([this.totals(now), this.listHolds(now)]);
+    const cost = roundCost(amounts.reduce((sum, amount) => sum + amount, 0));
+    const held = holds.reduce((sum, hold) => sum + hold.amount, 0);
+
+    for (const { period, error, label, cap, resets } of SPENDING_CAPS) {
+      const limit = SECURITY_CONFIG[cap];
+      if (totals[period].total + held + cost > limit) {
+        return { error, message: `${label} spending cap of $${limit} reached. Resets ${resets}.` };
+      }
+    }
+
+    // Issued keys also stop at their own budget
+    if (dailyBudget !== null) {
+      const keySpend = (totals.today.byKey[keyId] ?? 0) + holds
+        .filter(hold => hold.keyId === keyId)
+        .reduce((sum, hold) => sum + hold.amount, 0);
+      if (keySpend + cost > dailyBudget) {
+        return {
+          error: "key_budget_exceeded",
+          message: `This API key's daily budget of $${dailyBudget} is used up. Resets at midnight UTC.`
+        };
+      }
+    }
+
+    const expiresAt = now.getTime() + LEDGER_HOLD_TTL_MS;
+    const created = amounts.map(amount => ({ id: crypto.randomUUID(), amount: roundCost(amount), keyId, expiresAt }));
+    await this.storage.put(Object.fromEntries(created.map(hold => [LEDGER_HOLD_PREFIX + hold.id, hold])));
+    return { holds: created.map(hold => hold.id) };
+  }
+
+  // Add a charge or cache hit to today's summary, drawing `holdId` down by what it cost
+  async charge(entry, holdId = null) {
+    const date = utcDay();
+    const summary = (await this.storage.get(LEDGER_DAY_PREFIX + date)) ?? emptyDaySummary(date);
+    addToDaySummary(summary, entry);
+    await this.storage.put(LEDGER_DAY_PREFIX + date, summary);
+    if (holdId) await this.release(holdId, entry.amount);
+  }
+
+  // Give back `amount` of a hold (all of it by default)
+  async release(holdId, amount = Infinity) {
+    const hold = await this.storage.get(LEDGER_HOLD_PREFIX + holdId);
+    if (!hold) return;
+    hold.amount = roundCost(Math.max(0, hold.amount - amount));
+    if (hold.amount > 0) {
+      await this.storage.put(LEDGER_HOLD_PREFIX + holdId, hold);
+    } else {
+      await this.storage.delete(LEDGER_HOLD_PREFIX + holdId);
+    }
+  }
+
+  // Spend so far today, this week (from Monday, UTC) and this month
+  async totals(now = new Date()) {
+    const today = utcDay(now);
+    const monday = new Date(now);
+    monday.setUTCDate(now.getUTCDate() - ((now.getUTCDay() + 6) % 7));
+    const weekStart = utcDay(monday);
+    const monthStart = `${today.slice(0, 8)}01`;
+
+    const summaries = await this.getDaySummaries(utcDaysBetween(weekStart < monthStart ? weekStart : monthStart, today));
+    return {
+      today: mergeDaySummaries(summaries.filter(day => day.date === today)),
+      week: mergeDaySummaries(summaries.filter(day => day.date >= weekStart)),
+      month: mergeDaySummaries(summaries.filter(day => day.date >= monthStart))
+    };
+  }
+
+  // Totals, what's held, and `days` of daily summaries (newest first)
+  async report(days) {
+    const now = new Date();
+    const first = new Date(now);
+    first.setUTCDate(now.getUTCDate() - (days - 1));
+    const [spent, holds, history] = await Promise.all([
+      this.totals(now),
+      this.listHolds(now),
+      this.getDaySummaries(utcDaysBetween(utcDay(first), utcDay(now)).reverse())
+    ]);
+    return { spent, held: roundCost(holds.reduce((sum, hold) => sum + hold.amount, 0)), history };
+  }
+
+  async getDaySummaries(dates) {
+    const stored = await this.storage.get(dates.map(date => LEDGER_DAY_PREFIX + date));
+    return dates.map(date => stored.get(LEDGER_DAY_PREFIX + date) ?? emptyDaySummary(date));
+  }
+
+  // Unexpired holds; expired ones are dropped on the way
+  async listHolds(now = new Date()) {
+    const holds = [...(await this.storage.list({ prefix: LEDGER_HOLD_PREFIX })).values()];
+    const expired = holds.filter(hold => hold.expiresAt <= now.getTime());
+    if (expired.length) await this.storage.delete(expired.map(hold => LEDGER_HOLD_PREFIX + hold.id));
+    return holds.filter(hold => hold.expiresAt > now.getTime());
+  }
+}
+
+// Without the SPEND_LEDGER binding the same ledger runs on SPEND_TRACKER KV, where a cap
+// check and its hold are no longer one step (KV is eventually consistent)
+function spendLedger(env) {
+  if (!env.SPEND_LEDGER) return Object.create(SpendLedger.prototype, { storage: { value: kvLedgerStorage(env) } });
+  return env.SPEND_LEDGER.get(env.SPEND_LEDGER.idFromName("gallery"));
+}
+
+// The part of Durable Object storage the ledger uses, over SPEND_TRACKER KV (spend-ledger:<key> → JSON)
+const LEDGER_KV_PREFIX = "spend-ledger:";
+
+function kvLedgerStorage(env) {
+  const kvKey = key => LEDGER_KV_PREFIX + key;
+  return {
+    async get(keys) {
+      if (!Array.isArray(keys)) return env.SPEND_TRACKER.get(kvKey(keys), "json");
+      const values = await Promise.all(keys.map(key => env.SPEND_TRACKER.get(kvKey(key), "json")));
+      return new Map(keys.flatMap((key, i) => values[i] === null ? [] : [[key, values[i]]]));
+    },
+    async put(key, value) {
+      const entries = typeof key === "string" ? [[key, value]] : Object.entries(key);
+      await Promise.all(entries.map(([name, entry]) => env.SPEND_TRACKER.put(kvKey(name), JSON.stringify(entry))));
+    },
+    async delete(keys) {
+      await Promise.all([keys].flat().map(key => env.SPEND_TRACKER.delete(kvKey(key))));
+    },
+    async list({ prefix }) {
+      const found = new Map();
+      let cursor;
+      do {
+        const page = await env.SPEND_TRACKER.list({ prefix: kvKey(prefix), cursor });
+        const values = await Promise.all(page.keys.map(({ name }) => env.SPEND_TRACKER.get(name, "json")));
+        page.keys.forEach(({ name }, i) => values[i] !== null && found.set(name.slice(LEDGER_KV_PREFIX.length), values[i]));
+        cursor = page.list_complete ? null : page.cursor;
+      } while (cursor);
+      return found;
+    }
+  };
+}
+
+// Charge a paid provider call against the hold reserveSpend() gave it. `operation` is "image" or "sculpture".
+async function recordSpend(env, { amount, provider, operation, client, hold = null }) {
+  await spendLedger(env).charge({
+    amount: roundCost(amount),
+    provider,
+    operation,
+    keyId: client?.keyId ?? null
+  }, hold);
+}
+
+// Cache hits cost nothing but are logged with the spend they saved
+async function recordCacheHit(env, { saved, provider, operation, client }) {
+  await spendLedger(env).charge({
+    amount: 0,
+    saved: roundCost(saved),
+    cacheHit: true,
+    provider,
+    operation,
+    keyId: client?.keyId ?? null
+  });
+}
+
+// Check the caps and hold `amounts` in one step: { holds } (ids, in order) or { error, message }
+async function reserveSpend(env, amounts, principal) {
+  return spendLedger(env).reserve(amounts, { keyId: principal.id ?? null, dailyBudget: principal.dailyBudget });
+}
+
+async function releaseSpendHold(env, hold) {
+  if (hold) await spendLedger(env).release(hold);
+}
+
+// A provider call covered by `hold`: if it fails nothing was charged, so the hold goes back
+async function callWithSpendHold(env, hold, call) {
+  try {
+    return await call();
+  } catch (error) {
+    await releaseSpendHold(env, hold);
+    throw error;
+  }
+}
+
+function emptyDaySummary(date) {
+  return {
+    date,
+    total: 0,
+    charges: 0,
+    cacheHits: 0,
+    saved: 0,
+    byProvider: {},
+    byOperation: {},
+    byKey: {},
+    cacheHitsByKey: {}
+  };
+}
+
+function addToDaySummary(summary, entry) {
+  const add = (totals, name, amount) => {
+    totals[name] = roundCost((totals[name] ?? 0) + amount);
+  };
+
+  if (entry.cacheHit) {
+    summary.cacheHits++;
+    summary.saved = roundCost(summary.saved + entry.saved);
+    if (entry.keyId) add(summary.cacheHitsByKey, entry.keyId, 1);
+    return;
+  }
+  summary.charges++;
+  summary.total = roundCost(summary.total + entry.amount);
+  add(summary.byProvider, entry.provider, entry.amount);
+  add(summary.byOperation, entry.operation, entry.amount);
+  if (entry.keyId) add(summary.byKey, entry.keyId, entry.amount);
+}
+
+// Add day summaries together into one period summary
+function mergeDaySummaries(summaries) {
+  const period = emptyDaySummary(null);
+  for (const day of summaries) {
+    period.total = roundCost(period.total + day.total);
+    period.charges += day.charges;
+    period.cacheHits += day.cacheHits;
+    period.saved = roundCost(period.saved + day.saved);
+    for (const name of ["byProvider", "byOperation", "byKey", "cacheHitsByKey"]) {
+      for (const [key, amount] of Object.entries(day[name])) {
+        period[name][key] = roundCost((period[name][key] ?? 0) + amount);
+      }
+    }
+  }
+  delete period.date;
+  return period;
+}
+
+// Days from `start` to `end` (inclusive), as YYYY-MM-DD strings
+function utcDaysBetween(start, end) {
+  const days = [];
+  for (let day = new Date(`${start}T00:00:00Z`); utcDay(day) <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    days.push(utcDay(day));
+  }
+  return days;
+}
+
+// Spend so far today, this week and this month
+async function getSpendTotals(env) {
+  return spendLedger(env).totals();
+}
+
+const SPENDING_CAPS = [
+  { period: "today", error: "daily_budget_exceeded", label: "Daily", cap: "DAILY_SPENDING_CAP", resets: "at midnight UTC" },
+  { period: "week", error: "weekly_budget_exceeded", label: "Weekly", cap: "WEEKLY_SPENDING_CAP", resets: "on Monday (UTC)" },
+  { period: "month", error: "monthly_budget_exceeded", label: "Monthly", cap: "MONTHLY_SPENDING_CAP", resets: "on the 1st (UTC)" }
+];
+
+// Body of GET /api/admin/spend: caps, running holds, what's left, and `days` of history (newest first)
+async function buildSpendReport(env, days) {
+  const { spent, held, history } = await spendLedger(env).report(days);
+
+  const caps = {};
+  const remaining = {};
+  for (const { period, cap } of SPENDING_CAPS) {
+    caps[period] = SECURITY_CONFIG[cap];
+    remaining[period] = roundCost(Math.max(0, SECURITY_CONFIG[cap] - spent[period].total - held));
+  }
+
+  return { generatedAt: new Date().toISOString(), caps, spent, held, remaining, history };
+}
+
+// ========================================
+// Prompt-result cache (SPEND_TRACKER KV, cache:<kind>:<hash> → artwork ids)
+// ========================================
+
+function isPromptCacheEnabled(env) {
+  return env.PROMPT_CACHE !== "off";
+}
+
+// {"cache": false} or Cache-Control: no-cache skips the lookup (the result is still cached)
+function bypassesPromptCache(request, body) {
+  return body.cache === false || /\bno-cache\b/.test(request.headers.get("cache-control") || "");
+}
+
+// Hash of the normalized prompt, provider, model and parameters (a random seed is left out)
+async function promptCacheKey(kind, prompt, plan) {
+  const { seed, ...rest } = plan.parameters;
+  const parameters = plan.randomSeed ? rest : plan.parameters;
+  const canonical = JSON.stringify([
+    kind,
+    prompt.normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim(),
+    plan.provider.name,
+    plan.model,
+    Object.keys(parameters).sort().map(name => [name, parameters[name]])
+  ]);
+  return `cache:${kind}:${await sha256Hex(new TextEncoder().encode(canonical))}`;
+}
+
+// The cached records, or null if the entry expired or any artwork is gone or hidden
+async function getCachedArtwork(env, cacheKey) {
+  const entry = await env.SPEND_TRACKER.get(cacheKey, "json");
+  if (!entry) return null;
+
+  const records = await Promise.all(entry.ids.map(id => getArtworkMetadata(env, entry.type, id)));
+  if (records.some(record => !record || isWithheld(record))) {
+    await env.SPEND_TRACKER.delete(cacheKey);
+    return null;
+  }
+  return records;
+}
+
+async function putCachedArtwork(env, cacheKey, records) {
+  await env.SPEND_TRACKER.put(cacheKey, JSON.stringify({
+    type: records[0].type,
+    ids: records.map(record => record.id),
+    createdAt: new Date().toISOString()
+  }), { expirationTtl: PROMPT_CACHE_CONFIG.TTL_SECONDS });
+}
+
+// ========================================
+// API keys (hashed records in SPEND_TRACKER KV; usage counters need Upstash)
+// ========================================
+
+// KV layout: apikey:<sha256 of key> → record, apikey-id:<id> → hash, so keys can be revoked by id without the secret
+const API_KEY_PREFIX = "apikey:";
+const API_KEY_ID_PREFIX = "apikey-id:";
+
+// The caller's principal, null for anonymous callers, or { error, message } for a bad key
+async function authenticateRequest(request, env, url) {
+  const apiKey = request.headers.get("x-api-key");
+
+  if (apiKey) {
+    // The deployment's own key is the bootstrap admin used to issue the others
+    if (env.DEMO_API_KEY && apiKey === env.DEMO_API_KEY) {
+      return {
+        kind: "api_key",
+        id: "demo",
+        name: "DEMO_API_KEY",
+        scopes: API_KEY_CONFIG.SCOPES,
+        rateLimit: null,
+        dailyBudget: null
+      };
+    }
+
+    const record = await env.SPEND_TRACKER.get(API_KEY_PREFIX + await hashApiKey(apiKey), "json");
+    if (!record) {
+      return { error: "unauthorized", message: "Unknown API key" };
+    }
+    if (record.revokedAt) {
+      return { error: "key_revoked", message: `API key ${record.id} was revoked` };
+    }
+    return {
+      kind: "api_key",
+      id: record.id,
+      name: record.name,
+      scopes: record.scopes,
+      rateLimit: record.rateLimit,
+      dailyBudget: record.dailyBudget
+    };
+  }
+
+  // Our own frontend calls without a key: same Origin, plus the signed session cookie the gallery page set
+  if (isSameOriginRequest(request, url) && await hasFrontendSession(request, env)) {
+    return {
+      kind: "same_origin",
+      id: null,
+      name: "frontend",
+      scopes: ["generate-image", "generate-sculpture", "read"],
+      rateLimit: null,
+      dailyBudget: null
+    };
+  }
+
+  return null;
+}
+
+// Signed gallery_session cookie: <expiry ms>.<nonce>.<HMAC-SHA256>, keyed by SESSION_SECRET (or DEMO_API_KEY)
+const SESSION_COOKIE = "gallery_session";
+const SESSION_MAX_AGE = 12 * 3600; // seconds; reloading the page issues a fresh one
+
+function sessionKey(env) {
+  const secret = env.SESSION_SECRET || env.DEMO_API_KEY;
+  return secret && crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign", "verify"]);
+}
+
+// Set-Cookie value for the gallery page, or null when there's no secret to sign it with
+async function createSessionCookie(env) {
+  const key = await sessionKey(env);
+  if (!key) return null;
+  const payload = `${Date.now() + SESSION_MAX_AGE * 1000}.${toHex(crypto.getRandomValues(new Uint8Array(12)))}`;
+  const signature = toHex(new Uint8Array(await crypto.subtle.sign("HMAC", key, new TextEncoder().encode(payload))));
+  return `${SESSION_COOKIE}=${payload}.${signature}; Path=/; Max-Age=${SESSION_MAX_AGE}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+async function hasFrontendSession(request, env) {
+  const cookie = (request.headers.get("cookie") || "").split(/;\s*/).find(part => part.startsWith(`${SESSION_COOKIE}=`));
+  const [expires, nonce, signature] = cookie?.slice(SESSION_COOKIE.length + 1).split(".") ?? [];
+  if (!signature || !/^[0-9a-f]{64}$/.test(signature) || !(Number(expires) > Date.now())) return false;
+
+  const key = await sessionKey(env);
+  if (!key) return false;
+  const bytes = new Uint8Array(signature.match(/../g).map(pair => parseInt(pair, 16)));
+  return crypto.subtle.verify("HMAC", key, bytes, new TextEncoder().encode(`${expires}.${nonce}`));
+}
+
+// Exact host match on Origin (or Referer when Origin is absent)
+function isSameOriginRequest(request, url) {
+  if (request.headers.get("sec-fetch-site") === "cross-site") return false;
+
+  const source = request.headers.get("origin") || request.headers.get("referer");
+  if (!source) return false;
+
+  try {
+    return new URL(source).host === url.host;
+  } catch {
+    return false;
+  }
+}
+
+// Authenticate and check one scope (null admits any valid caller): { principal } or { response }
+async function requireScope(request, env, url, scope, headers = {}) {
+  const principal = await authenticateRequest(request, env, url);
+
+  if (!principal || principal.error) {
+    return { response: jsonResponse({
+      error: principal?.error || "unauthorized",
+      ...(principal?.message && { message: principal.message })
+    }, 401, headers) };
+  }
+
+  if (scope && !principal.scopes.includes(scope)) {
+    return { response: jsonResponse({
+      error: "forbidden",
+      message: `This key does not have the ${scope} scope`
+    }, 403, headers) };
+  }
+
+  return { principal };
+}
+
+function hashApiKey(apiKey) {
+  return sha256Hex(new TextEncoder().encode(apiKey));
+}
+
+function toHex(bytes) {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Check the body of POST /api/admin/keys: { settings } or { error, message }
+function parseApiKeySettings(body) {
+  const name = String(body.name || "").trim();
+  if (!name || name.length > API_KEY_CONFIG.MAX_NAME_LENGTH) {
+    return {
+      error: "invalid_name",
+      message: `Name must be 1-${API_KEY_CONFIG.MAX_NAME_LENGTH} characters`
+    };
+  }
+
+  const scopes = body.scopes ?? API_KEY_CONFIG.DEFAULT_SCOPES;
+  if (!Array.isArray(scopes) || !scopes.length
+      || !scopes.every(scope => API_KEY_CONFIG.SCOPES.includes(scope))) {
+    return {
+      error: "invalid_scopes",
+      message: `Scopes must be a list drawn from: ${API_KEY_CONFIG.SCOPES.join(", ")}`
+    };
+  }
+
+  const rateLimit = body.rateLimit ?? API_KEY_CONFIG.DEFAULT_RATE_LIMIT;
+  if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > API_KEY_CONFIG.MAX_RATE_LIMIT) {
+    return {
+      error: "invalid_rate_limit",
+      message: `rateLimit must be an integer from 1 to ${API_KEY_CONFIG.MAX_RATE_LIMIT} (requests per minute)`
+    };
+  }
+
+  const dailyBudget = body.dailyBudget ?? API_KEY_CONFIG.DEFAULT_DAILY_BUDGET;
+  if (typeof dailyBudget !== "number" || dailyBudget < 0 || dailyBudget > SECURITY_CONFIG.DAILY_SPENDING_CAP) {
+    return {
+      error: "invalid_daily_budget",
+      message: `dailyBudget must be a number of USD from 0 to ${SECURITY_CONFIG.DAILY_SPENDING_CAP}`
+    };
+  }
+
+  return { settings: { name, scopes: [...new Set(scopes)], rateLimit, dailyBudget } };
+}
+
+// Issue a new key; the secret is only ever returned here, KV keeps its hash
+async function createApiKey(env, settings, createdBy) {
+  const secret = new Uint8Array(24);
+  crypto.getRandomValues(secret);
+  const apiKey = `gk_${toHex(secret)}`;
+  const hash = await hashApiKey(apiKey);
+
+  const record = {
+    id: `key_${crypto.randomUUID().replaceAll("-", "").slice(0, 12)}`,
+    ...settings,
+    hint: `${apiKey.slice(0, 7)}…`,
+    createdAt: new Date().toISOString(),
+    createdBy: createdBy,
+    revokedAt: null
+  };
+
+  await Promise.all([
+    env.SPEND_TRACKER.put(API_KEY_PREFIX + hash, JSON.stringify(record)),
+    env.SPEND_TRACKER.put(API_KEY_ID_PREFIX + record.id, hash)
+  ]);
+
+  return { apiKey, record };
+}
+
+async function getApiKeyRecord(env, id) {
+  const hash = await env.SPEND_TRACKER.get(API_KEY_ID_PREFIX + id);
+  if (!hash) return null;
+
+  const record = await env.SPEND_TRACKER.get(API_KEY_PREFIX + hash, "json");
+  return record && { hash, record };
+}
+
+// Revocation keeps the record (and its usage) around for auditing
+async function revokeApiKey(env, id, revokedBy) {
+  const found = await getApiKeyRecord(env, id);
+  if (!found) return null;
+
+  const { hash, record } = found;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    record.revokedBy = revokedBy;
+    await env.SPEND_TRACKER.put(API_KEY_PREFIX + hash, JSON.stringify(record));
+  }
+  return record;
+}
+
+// One page of key records with their usage: { keys, cursor }
+async function listApiKeys(env, cursor) {
+  const listed = await env.SPEND_TRACKER.list({
+    prefix: API_KEY_PREFIX,
+    limit: LISTING_CONFIG.MAX_LIMIT,
+    cursor: cursor
+  });
+
+  const totals = await getSpendTotals(env);
+  const keys = await Promise.all(listed.keys.map(async ({ name }) => {
+    const record = await env.SPEND_TRACKER.get(name, "json");
+    return { ...record, usage: await getApiKeyUsage(env, record.id, totals) };
+  }));
+
+  return { keys, cursor: listed.list_complete ? null : listed.cursor };
+}
+
+function apiKeyUsageKey(id) {
+  return `usage:key:${id}`;
+}
+
+// Count an authenticated generation request against its key (needs Upstash)
+async function recordApiKeyRequest(env, principal) {
+  if (!principal.id) return;
+  if (!env.UPSTASH_REDIS_REST_URL || !env.UPSTASH_REDIS_REST_TOKEN) return;
+
+  const redis = Redis.fromEnv(env);
+  await redis.hincrby(apiKeyUsageKey(principal.id), "requests", 1);
+  await redis.hset(apiKeyUsageKey(principal.id), { lastUsedAt: new Date().toISOString() });
+}
+
+// Spend and cache hits come from the ledger; request counts need Upstash
+async function getApiKeyUsage(env, id, totals) {
+  let counters = null;
+  if (env.UPSTASH_REDIS_REST_URL && env.UPSTASH_REDIS_REST_TOKEN) {
+    counters = await Redis.fromEnv(env).hgetall(apiKeyUsageKey(id));
+  }
+
+  return {
+    requests: counters ? Number(counters.requests || 0) : null,
+    lastUsedAt: counters?.lastUsedAt || null,
+    spentToday: totals.today.byKey[id] ?? 0,
+    spentThisMonth: totals.month.byKey[id] ?? 0,
+    cacheHitsToday: totals.today.cacheHitsByKey[id] ?? 0
+  };
+}
+
+// ========================================
+// Object serving (GET/HEAD with ranges and conditionals, for /art and /sculptures)
+// ========================================
+
+// GET or HEAD of one R2 object with conditional and range support; null if it doesn't exist
+async function serveStoredObject(request, env, key, options = {}) {
+  const isHead = request.method === "HEAD";
+  const rangeHeader = request.headers.get("range");
+  let useRange = Boolean(rangeHeader) && !isHead;
+
+  // If-Range: only send the part when the client's copy is still current
+  const ifRange = request.headers.get("if-range");
+  if (useRange && ifRange) {
+    const current = await env.ART.head(key);
+    if (!current) return null;
+    useRange = ifRange === current.httpEtag || ifRange === current.uploaded.toUTCString();
+  }
+
+  let object;
+  try {
+    object = isHead
+      ? await env.ART.head(key)
+      : await env.ART.get(key, {
+        onlyIf: request.headers,
+        ...(useRange && { range: request.headers })
+      });
+  } catch (error) {
+    // R2 rejects ranges it can't satisfy
+    const current = useRange && await env.ART.head(key);
+    if (!current) throw error;
+    return new Response(null, {
+      status: 416,
+      headers: {
+        ...options.headers,
+        "content-range": `bytes */${current.size}`,
+        "access-control-allow-origin": "*"
+      }
+    });
+  }
+  if (!object) return null;
+
+  const headers = new Headers(options.defaults);
+  object.writeHttpMetadata(headers);
+  headers.set("etag", object.httpEtag);
+  headers.set("last-modified", object.uploaded.toUTCString());
+  headers.set("accept-ranges", "bytes");
+  headers.set("access-control-allow-origin", "*"); // CORS for browser preview
+  headers.set("access-control-expose-headers", "Content-Range, Content-Length, ETag, Last-Modified, Accept-Ranges");
+  for (const [name, value] of Object.entries(options.headers || {})) {
+    headers.set(name, value);
+  }
+
+  if (isHead) {
+    // R2 head() doesn't evaluate preconditions, so do the cache checks here
+    if (isNotModified(request, object)) {
+      return new Response(null, { status: 304, headers });
+    }
+    headers.set("content-length", String(object.size));
+    return new Response(null, { headers });
+  }
+
+  // A failed precondition comes back as an object without a body
+  if (!("body" in object)) {
+    const strict = request.headers.has("if-match") || request.headers.has("if-unmodified-since");
+    return new Response(null, { status: strict ? 412 : 304, headers });
+  }
+
+  if (useRange && object.range) {
+    const { offset, length } = resolveObjectRange(object.range, object.size);
+    headers.set("content-range", `bytes ${offset}-${offset + length - 1}/${object.size}`);
+    headers.set("content-length", String(length));
+    return new Response(object.body, { status: 206, headers });
+  }
+
+  headers.set("content-length", String(object.size));
+  return new Response(object.body, { headers });
+}
+
+// If-None-Match wins over If-Modified-Since, as in RFC 9110
+function isNotModified(request, object) {
+  const ifNoneMatch = request.headers.get("if-none-match");
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(",").some(tag => {
+      const value = tag.trim().replace(/^W\//, "");
+      return value === "*" || value === object.httpEtag;
+    });
+  }
+
+  const ifModifiedSince = Date.parse(request.headers.get("if-modified-since"));
+  return !isNaN(ifModifiedSince) && Math.floor(object.uploaded.getTime() / 1000) * 1000 <= ifModifiedSince;
+}
+
+// R2 reports ranges as { offset, length } or { suffix }
+function resolveObjectRange(range, size) {
+  if (range.suffix !== undefined) {
+    const length = Math.min(range.suffix, size);
+    return { offset: size - length, length };
+  }
+  const offset = range.offset ?? 0;
+  return { offset, length: Math.min(range.length ?? size - offset, size - offset) };
+}
+
+// ========================================
+// Image variants (resized copies cached in R2 under variants/)
+// ========================================
+
+// ?w= must be one of VARIANT_CONFIG.WIDTHS so the cache stays bounded
+function parseVariantQuery(url) {
+  const params = url.searchParams;
+  let width = null;
+
+  if (params.has("w")) {
+    width = Number(params.get("w"));
+    if (!VARIANT_CONFIG.WIDTHS.includes(width)) {
+      return { error: "invalid_width", message: `w must be one of: ${VARIANT_CONFIG.WIDTHS.join(", ")}` };
+    }
+  }
+
+  let format = params.get("format")?.toLowerCase() || null;
+  if (format === "jpg") format = "jpeg";
+  if (format && !VARIANT_CONFIG.FORMATS[format]) {
+    return { error: "invalid_format", message: `format must be one of: ${Object.keys(VARIANT_CONFIG.FORMATS).join(", ")}` };
+  }
+
+  return { width, format };
+}
+
+// AVIF or WebP when the Accept header names them, else the stored format or JPEG/PNG (null keeps the stored one)
+function negotiateImageFormat(accept, storedType) {
+  const quality = new Map();
+  for (const part of (accept || "*/*").split(",")) {
+    const [type, ...options] = part.trim().toLowerCase().split(";");
+    const q = options.map(option => option.trim()).find(option => option.startsWith("q="));
+    quality.set(type, q ? Number(q.slice(2)) : 1);
+  }
+  const accepts = type => (quality.get(type) ?? quality.get("image/*") ?? quality.get("*/*") ?? 0) > 0;
+
+  for (const format of ["avif", "webp"]) {
+    const type = VARIANT_CONFIG.FORMATS[format];
+    if (type === storedType) continue;
+    if (quality.get(type) > 0) return format;
+  }
+  if (!storedType || accepts(storedType)) return null;
+  return ["jpeg", "png"].find(format => accepts(VARIANT_CONFIG.FORMATS[format])) ?? null;
+}
+
+// Serve a resized or re-encoded art/ object, making and caching it on first request
+async function serveImageVariant(request, env, ctx, key, { width, format }, { negotiated = false } = {}) {
+  const cacheable = key !== "art/latest.jpg";
+  const variantKey = `variants/${key}/${width ? `w${width}` : "full"}${format ? `.${format}` : ""}`;
+  const cacheControl = cacheable ? "public, max-age=31536000, immutable" : "no-store, max-age=0";
+  const baseHeaders = {
+    "access-control-allow-origin": "*",
+    ...(negotiated && { "vary": "Accept" })
+  };
+
+  const cached = cacheable && await serveStoredObject(request, env, variantKey, { headers: baseHeaders });
+  if (cached) return cached;
+
+  const original = await env.ART.head(key);
+  if (!original) {
+    return new Response("Image not found", { status: 404 });
+  }
+
+  const originalType = original.httpMetadata?.contentType;
+  const contentType = format ? VARIANT_CONFIG.FORMATS[format] : originalType;
+  const unchanged = !width && contentType === originalType;
+  if (unchanged || !env.IMAGES || !Object.values(VARIANT_CONFIG.FORMATS).includes(contentType)) {
+    return serveStoredObject(request, env, key, { headers: baseHeaders });
+  }
+
+  const source = await env.ART.get(key);
+
+  const result = await env.IMAGES
+    .input(source.body)
+    .transform(width ? { width, fit: "scale-down" } : {})
+    .output({ format: contentType });
+  const bytes = new Uint8Array(await result.response().arrayBuffer());
+
+  if (cacheable) {
+    ctx.waitUntil(env.ART.put(variantKey, bytes, {
+      httpMetadata: { contentType, cacheControl }
+    }));
+  }
+
+  // First request for a variant gets the whole thing; later ones come from R2
+  return new Response(request.method === "HEAD" ? null : bytes, {
+    headers: {
+      ...baseHeaders,
+      "content-type": contentType,
+      "content-length": String(bytes.length),
+      "cache-control": cacheControl
+    }
+  });
+}
+
+// Named variant URLs plus a srcset string, for API responses about an image
+function imageVariantUrls(url, originalWidth) {
+  const variant = width => `${url}?w=${width}&format=${VARIANT_CONFIG.DEFAULT_FORMAT}`;
+  const widths = VARIANT_CONFIG.WIDTHS.filter(width => !originalWidth || width < originalWidth);
+
+  return {
+    variants: Object.fromEntries(
+      Object.entries(VARIANT_CONFIG.SIZES).map(([name, width]) => [name, variant(width)])
+    ),
+    srcset: [
+      ...widths.map(width => `${variant(width)} ${width}w`),
+      ...(originalWidth ? [`${url} ${originalWidth}w`] : [])
+    ].join(", ")
+  };
+}
+
+// ========================================
+// Artwork metadata (JSON records stored in R2 under meta/)
+// ========================================
+
+const METADATA_PREFIXES = {
+  image: "meta/images/",
+  sculpture: "meta/sculptures/"
+};
+
+// URL segment → record type, for the routes shared by both kinds of artwork
+const ARTWORK_COLLECTIONS = {
+  images: "image",
+  sculptures: "sculpture"
+};
+
+const MAX_TIMESTAMP = 9999999999999;
+
+// Shorthands accepted by ?type= on the listing endpoints
+const MEDIA_TYPE_ALIASES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+  glb: "model/gltf-binary"
+};
+
+function createArtworkId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+// art/2025-11-11T10-30-00-000Z.jpg → 2025-11-11T10-30-00-000Z
+function artworkIdFromKey(key) {
+  return key.slice(key.indexOf("/") + 1).replace(/^sculpture-/, "").replace(/\.[^.]+$/, "");
+}
+
+// Keys sort newest-first (R2 lists ascending), so pages come back in order:
+// meta/images/<9999999999999 - ms>_<id>.json
+function metadataKey(type, id) {
+  return `${METADATA_PREFIXES[type]}${reverseTimestamp(artworkIdToDate(id))}_${id}.json`;
+}
+
+function artworkIdToDate(id) {
+  const [date, time] = id.split("T");
+  const [hours, minutes, seconds, millis] = time.replace("Z", "").split("-");
+  return new Date(`${date}T${hours}:${minutes}:${seconds}.${millis}Z`);
+}
+
+function reverseTimestamp(date) {
+  return String(MAX_TIMESTAMP - date.getTime()).padStart(13, "0");
+}
+
+async function putArtworkMetadata(env, record) {
+  await env.ART.put(metadataKey(record.type, record.id), JSON.stringify(record), {
+    httpMetadata: { contentType: "application/json" },
+    // Listing filters read these without fetching the record body
+    customMetadata: {
+      id: record.id,
+      contentType: record.contentType || "",
+      size: String(record.size ?? 0),
+      createdAt: record.createdAt,
+      ...(record.parentId && { parentId: record.parentId }),
+      ...(record.moderation && { moderation: record.moderation.status })
+    }
+  });
+}
+
+async function getArtworkMetadata(env, type, id) {
+  const object = await env.ART.get(metadataKey(type, id));
+  return object ? object.json() : null;
+}
+
+// Walk the metadata index newest-first, applying filters, until `limit` records match or MAX_SCAN_PAGES run out
+async function listArtworkMetadata(env, type, filters = {}) {
+  const prefix = METADATA_PREFIXES[type];
+  const limit = filters.limit ?? LISTING_CONFIG.DEFAULT_LIMIT;
+  let startAfter = filters.cursor;
+
+  // Jump straight past everything newer than `until`
+  if (filters.until) {
+    const bound = `${prefix}${reverseTimestamp(new Date(filters.until.getTime() + 1))}~`;
+    if (!startAfter || bound > startAfter) startAfter = bound;
+  }
+
+  const matches = [];
+  let lastKey = null;
+  let hasMore = false;
+  let r2Cursor;
+  let pages = 0;
+
+  scan: while (true) {
+    const page = await env.ART.list({
+      prefix,
+      limit: pages ? 1000 : Math.min(1000, Math.max(limit + 1, 100)), // later pages only come with sparse filters
+      include: ["customMetadata"],
+      ...(r2Cursor ? { cursor: r2Cursor } : { startAfter })
+    });
+
+    for (const obj of page.objects) {
+      const summary = obj.customMetadata || {};
+
+      // Entries are ordered by date, so nothing after this can match
+      if (filters.since && new Date(summary.createdAt) < filters.since) break scan;
+
+      if (matches.length === limit) {
+        hasMore = true;
+        break scan;
+      }
+
+      lastKey = obj.key;
+      if (matchesListingFilters(summary, filters)) matches.push(obj.key);
+    }
+
+    if (!page.truncated) break;
+    // Sparse filters stop here; the cursor resumes the scan after the last key read
+    if (++pages === LISTING_CONFIG.MAX_SCAN_PAGES) {
+      hasMore = lastKey !== null;
+      break;
+    }
+    r2Cursor = page.cursor;
+  }
+
+  const records = await Promise.all(
+    matches.map(async key => {
+      const object = await env.ART.get(key);
+      return object ? object.json() : null;
+    })
+  );
+
+  return {
+    records: records.filter(Boolean),
+    nextCursor: hasMore ? encodeListingCursor(lastKey) : null
+  };
+}
+
+// Items stored after `since`, oldest first (checks the newest 20 entries)
+async function listArtworkCreatedAfter(env, type, since) {
+  const prefix = METADATA_PREFIXES[type];
+  const boundary = `${prefix}${reverseTimestamp(since)}`;
+  const page = await env.ART.list({ prefix, limit: 20 });
+
+  const records = await Promise.all(
+    page.objects
+      .filter(obj => obj.key < boundary)
+      .map(async obj => {
+        const object = await env.ART.get(obj.key);
+        return object ? object.json() : null;
+      })
+  );
+  return records.filter(record => record && !isWithheld(record)).reverse();
+}
+
+function matchesListingFilters(summary, filters) {
+  const size = Number(summary.size);
+  const status = summary.moderation || "visible";
+  if (filters.statuses ? !filters.statuses.includes(status) : WITHHELD_STATUSES.includes(status)) return false;
+  if (filters.contentTypes && !filters.contentTypes.includes(summary.contentType)) return false;
+  if (filters.minSize !== undefined && size < filters.minSize) return false;
+  if (filters.maxSize !== undefined && size > filters.maxSize) return false;
+  if (filters.parent && summary.parentId !== filters.parent) return false;
+  return true;
+}
+
+// Parse the listing query string: { filters } or { error, message }
+function parseListingQuery(url, type) {
+  const params = url.searchParams;
+  const filters = {};
+
+  if (params.has("cursor")) {
+    filters.cursor = decodeListingCursor(params.get("cursor"));
+    if (!filters.cursor?.startsWith(METADATA_PREFIXES[type])) {
+      return { error: "invalid_cursor", message: "Cursor is not valid for this listing" };
+    }
+  }
+
+  if (params.has("limit")) {
+    const limit = Number(params.get("limit"));
+    if (!Number.isInteger(limit) || limit < 1 || limit > LISTING_CONFIG.MAX_LIMIT) {
+      return { error: "invalid_limit", message: `Limit must be between 1 and ${LISTING_CONFIG.MAX_LIMIT}` };
+    }
+    filters.limit = limit;
+  }
+
+  for (const name of ["since", "until"]) {
+    if (!params.has(name)) continue;
+    const date = new Date(params.get(name));
+    if (isNaN(date)) {
+      return { error: "invalid_date", message: `${name} must be an ISO 8601 date` };
+    }
+    filters[name] = date;
+  }
+
+  if (params.has("type")) {
+    filters.contentTypes = params.get("type").split(",").map(t => {
+      const value = t.trim().toLowerCase();
+      return MEDIA_TYPE_ALIASES[value] || value;
+    });
+  }
+
+  for (const name of ["minSize", "maxSize"]) {
+    if (!params.has(name)) continue;
+    const size = Number(params.get(name));
+    if (!Number.isFinite(size) || size < 0) {
+      return { error: "invalid_size", message: `${name} must be a number of bytes` };
+    }
+    filters[name] = size;
+  }
+
+  // Lineage: the edits made from one artwork
+  if (params.has("parent")) {
+    filters.parent = params.get("parent");
+    if (!ARTWORK_ID_PATTERN.test(filters.parent)) {
+      return { error: "invalid_id", message: "parent must be an artwork id" };
+    }
+  }
+
+  return { filters };
+}
+
+// Cursors are opaque to clients: base64url of the last index key returned
+function encodeListingCursor(key) {
+  return btoa(key).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeListingCursor(cursor) {
+  try {
+    return atob(cursor.replace(/-/g, "+").replace(/_/g, "/"));
+  } catch (e) {
+    return null;
+  }
+}
+
+const ARTWORK_PREFIXES = {
+  image: "art/",
+  sculpture: "sculptures/"
+};
+
+// Write metadata and search postings for stored objects that lack them
+async function reindexArtwork(env, type, cursor) {
+  const list = await env.ART.list({ prefix: ARTWORK_PREFIXES[type], limit: 100, cursor });
+  let indexed = 0;
+  let searchIndexed = 0;
+
+  for (const obj of list.objects) {
+    const id = artworkIdFromKey(obj.key);
+    if (!ARTWORK_ID_PATTERN.test(id)) continue; // latest.jpg and friends
+
+    let record = await getArtworkMetadata(env, type, id);
+    if (!record) {
+      const object = await env.ART.head(obj.key);
+      record = {
+        id,
+        type,
+        key: obj.key,
+        prompt: null,
+        size: obj.size,
+        contentType: object?.httpMetadata?.contentType || null,
+        createdAt: artworkIdToDate(id).toISOString()
+      };
+      await putArtworkMetadata(env, record);
+      indexed++;
+    }
+
+    if (!await isIndexedForSearch(env, record)) {
+      await indexArtworkForSearch(env, record);
+      searchIndexed++;
+    }
+  }
+
+  return {
+    indexed,
+    searchIndexed,
+    nextCursor: list.truncated ? list.cursor : null
+  };
+}
+
+// Client details and moderation notes are kept for admins and never served publicly
+function toPublicArtwork(record, origin) {
+  const { client, moderation, ...rest } = record;
+  const url = `${origin}/${record.key}`;
+  return {
+    ...rest,
+    url: url,
+    ...(record.type === "image" && imageVariantUrls(url, record.width ?? record.parameters?.width)),
+    ...(record.sourceImageKey && { sourceImageUrl: `${origin}/${record.sourceImageKey}` }),
+    uploaded: record.createdAt
+  };
+}
+
+function describeClient(request, principal) {
+  return {
+    ip: request.headers.get("cf-connecting-ip") || "unknown",
+    country: request.cf?.country || null,
+    userAgent: request.headers.get("user-agent") || null,
+    origin: request.headers.get("origin") || null,
+    auth: principal.kind,
+    keyId: principal.id
+  };
+}
+
+// ========================================
+// Moderation (hide, flag, restore and delete, with an audit trail in R2)
+// ========================================
+
+// Hidden and quarantined items' files live under quarantine/; flagged items stay public
+const MODERATION_ACTIONS = {
+  hide: { from: ["visible", "flagged", "quarantined"], to: "hidden" },
+  flag: { from: ["visible"], to: "flagged" },
+  restore: { from: ["hidden", "flagged", "quarantined"], to: "visible" }
+};
+const MODERATION_STATUSES = ["visible", "flagged", "hidden", "quarantined"];
+const WITHHELD_STATUSES = ["hidden", "quarantined"]; // files under quarantine/
+const MAX_MODERATION_REASON_LENGTH = 500;
+const QUARANTINE_PREFIX = "quarantine/";
+const AUDIT_PREFIX = "audit/";
+
+function moderationStatus(record) {
+  return record.moderation?.status || "visible";
+}
+
+function isWithheld(record) {
+  return WITHHELD_STATUSES.includes(moderationStatus(record));
+}
+
+function artworkFiles(record) {
+  return [record.key, record.sourceImageKey].filter(Boolean);
+}
+
+// The other samples of a multi-sample request that still exist (sample i's id is the first's time plus i ms)
+async function getSampleSiblings(env, record) {
+  if (!record.sampleCount) return [];
+  const first = Date.parse(record.createdAt) - record.sampleIndex;
+  const ids = Array.from({ length: record.sampleCount }, (_, i) => createArtworkId(new Date(first + i)))
+    .filter(id => id !== record.id);
+  const siblings = await Promise.all(ids.map(id => getArtworkMetadata(env, record.type, id)));
+  return siblings.filter(Boolean);
+}
+
+// An edit's uploaded source is shared by its samples and stays public while any sibling is
+function sharedArtworkFiles(record, siblings) {
+  return siblings.some(sibling => !isWithheld(sibling)) ? [] : [record.sourceImageKey].filter(Boolean);
+}
+
+// Body of the moderation routes: an optional { "reason": "..." }
+async function parseModerationBody(request) {
+  const text = await request.text();
+  let body = {};
+  if (text) {
+    try {
+      body = JSON.parse(text);
+    } catch (e) {
+      return { error: "invalid_json", message: "Request body must be valid JSON" };
+    }
+  }
+
+  const reason = body?.reason ?? null;
+  if (reason !== null && (typeof reason !== "string" || reason.length > MAX_MODERATION_REASON_LENGTH)) {
+    return { error: "invalid_reason", message: `reason must be text of at most ${MAX_MODERATION_REASON_LENGTH} characters` };
+  }
+  return { reason };
+}
+
+// Apply a MODERATION_ACTIONS entry to one item and log it: { record } or { error, message, status }
+async function moderateArtwork(env, type, id, action, { reason, actor }) {
+  const record = await getArtworkMetadata(env, type, id);
+  if (!record) {
+    return { error: `${type}_not_found`, status: 404 };
+  }
+
+  const { from, to } = MODERATION_ACTIONS[action];
+  const previous = moderationStatus(record);
+  if (!from.includes(previous)) {
+    return { error: "invalid_transition", message: `Can't ${action} a ${previous} ${type}`, status: 409 };
+  }
+
+  const files = [record.key, ...sharedArtworkFiles(record, await getSampleSiblings(env, record))];
+  const wasWithheld = WITHHELD_STATUSES.includes(previous);
+  if (WITHHELD_STATUSES.includes(to) && !wasWithheld) {
+    await Promise.all(files.map(key => moveStoredObject(env, key, QUARANTINE_PREFIX + key)));
+    await Promise.all(files.map(key => deleteImageVariants(env, key)));
+  } else if (!WITHHELD_STATUSES.includes(to) && wasWithheld) {
+    await Promise.all(files.map(key => moveStoredObject(env, QUARANTINE_PREFIX + key, key)));
+  }
+
+  const { moderation, ...rest } = record;
+  const updated = to === "visible" ? rest : {
+    ...rest,
+    moderation: { status: to, reason, by: actor.keyId, at: new Date().toISOString() }
+  };
+  await putArtworkMetadata(env, updated);
+  if (type === "image") await refreshLatestImage(env);
+  if (WITHHELD_STATUSES.includes(to) && !wasWithheld) await removeArtworkFromSearch(env, record);
+  if (!WITHHELD_STATUSES.includes(to) && wasWithheld) await indexArtworkForSearch(env, updated);
+  if (WITHHELD_STATUSES.includes(to) !== wasWithheld) await updateItemCollections(env, record, { withheld: !wasWithheld });
+
+  await recordAuditEntry(env, { action, type, id, from: previous, to, reason }, actor);
+  return { record: updated };
+}
+
+// Remove an item's files, variants and metadata for good
+async function deleteArtwork(env, type, id, { reason, actor }) {
+  const record = await getArtworkMetadata(env, type, id);
+  if (!record) {
+    return { error: `${type}_not_found`, status: 404 };
+  }
+
+  // A sample's shared source stays for its siblings, quarantined once none of them is visible
+  const siblings = await getSampleSiblings(env, record);
+  const files = siblings.length ? [record.key] : artworkFiles(record);
+  const prefix = isWithheld(record) ? QUARANTINE_PREFIX : "";
+  await env.ART.delete(files.map(key => prefix + key));
+  await Promise.all(files.map(key => deleteImageVariants(env, key)));
+  if (siblings.length && !isWithheld(record)) {
+    const shared = sharedArtworkFiles(record, siblings);
+    await Promise.all(shared.map(key => moveStoredObject(env, key, QUARANTINE_PREFIX + key)));
+    await Promise.all(shared.map(key => deleteImageVariants(env, key)));
+  }
+  await env.ART.delete(metadataKey(type, id));
+  if (type === "image") await refreshLatestImage(env);
+  await removeArtworkFromSearch(env, record);
+  await updateItemCollections(env, record, { deleted: true });
+
+  await recordAuditEntry(env, { action: "delete", type, id, from: moderationStatus(record), to: null, reason }, actor);
+  return { record: { id, type, deleted: true } };
+}
+
+async function moveStoredObject(env, from, to) {
+  const object = await env.ART.get(from);
+  if (!object) return;
+  await env.ART.put(to, await object.arrayBuffer(), {
+    httpMetadata: object.httpMetadata,
+    customMetadata: object.customMetadata
+  });
+  await env.ART.delete(from);
+}
+
+async function deleteImageVariants(env, key) {
+  let cursor;
+  do {
+    const page = await env.ART.list({ prefix: `variants/${key}/`, cursor });
+    if (page.objects.length) await env.ART.delete(page.objects.map(obj => obj.key));
+    cursor = page.truncated ? page.cursor : null;
+  } while (cursor);
+}
+
+// Point art/latest.jpg at the newest visible image (or remove it if none is left)
+async function refreshLatestImage(env) {
+  const [{ records: [newest] }, current] = await Promise.all([
+    listArtworkMetadata(env, "image", { limit: 1 }),
+    env.ART.head("art/latest.jpg")
+  ]);
+  if (current && current.customMetadata?.id === newest?.id) return;
+
+  const object = newest && await env.ART.get(newest.key);
+  if (!object) {
+    await env.ART.delete("art/latest.jpg");
+    return;
+  }
+  await putLatestImage(env, await object.arrayBuffer(), newest);
+}
+
+// Audit entries sort newest-first like the metadata index:
+// audit/<9999999999999 - ms>_<random>.json
+async function recordAuditEntry(env, entry, actor) {
+  const at = new Date();
+  const key = `${AUDIT_PREFIX}${reverseTimestamp(at)}_${crypto.randomUUID().slice(0, 8)}.json`;
+  await env.ART.put(key, JSON.stringify({ ...entry, actor, at: at.toISOString() }), {
+    httpMetadata: { contentType: "application/json" }
+  });
+}
+
+async function listAuditEntries(env, { cursor, limit }) {
+  const page = await env.ART.list({
+    prefix: AUDIT_PREFIX,
+    limit,
+    ...(cursor && { startAfter: cursor })
+  });
+  const entries = await Promise.all(page.objects.map(async obj => {
+    const object = await env.ART.get(obj.key);
+    return object ? object.json() : null;
+  }));
+
+  return {
+    entries: entries.filter(Boolean),
+    nextCursor: page.truncated ? encodeListingCursor(page.objects[page.objects.length - 1].key) : null
+  };
+}
+
+// ========================================
+// Collections (JSON records in R2 under collections/)
+// ========================================
+
+const COLLECTION_PREFIX = "collections/";
+// collection-members/<type>/<id>/<collection id> markers, so moderation can find the collections holding an item
+const COLLECTION_MEMBER_PREFIX = "collection-members/";
+const COLLECTION_ID_PATTERN = /^col_[0-9a-f]{12}$/;
+
+function collectionKey(id) {
+  return `${COLLECTION_PREFIX}${id}.json`;
+}
+
+// Resolves to { record, etag }, or null if there is no such collection
+async function getCollection(env, id) {
+  const object = await env.ART.get(collectionKey(id));
+  return object ? { record: await object.json(), etag: object.etag } : null;
+}
+
+// With an etag the write only lands if nobody changed the record since it was read
+async function putCollection(env, record, etag) {
+  const result = await env.ART.put(collectionKey(record.id), JSON.stringify(record), {
+    httpMetadata: { contentType: "application/json" },
+    // The collection listing reads these without fetching the record body
+    customMetadata: {
+      name: record.name,
+      visibility: record.visibility,
+      createdBy: record.createdBy ?? "",
+      itemCount: String(visibleItemCount(record)),
+      coverKey: record.cover?.key ?? "",
+      updatedAt: record.updatedAt
+    },
+    ...(etag && { onlyIf: { etagMatches: etag } })
+  });
+  return result !== null;
+}
+
+function canEditCollection(principal, collection) {
+  if (!principal || principal.error || !principal.scopes.includes("curate")) return false;
+  return principal.scopes.includes("admin") || collection.createdBy === principal.id;
+}
+
+// Private collections are only seen by the key that made them (and admins)
+function canViewCollection(principal, collection) {
+  return collection.visibility === "public" || canEditCollection(principal, collection);
+}
+
+// Read-modify-write one collection, retried when another edit wins the race
+async function updateCollection(env, id, principal, change) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const current = await getCollection(env, id);
+    if (!current || (principal && !canViewCollection(principal, current.record))) {
+      return { error: "collection_not_found", status: 404 };
+    }
+    if (principal && !canEditCollection(principal, current.record)) {
+      return { error: "forbidden", message: "This key can't edit this collection", status: 403 };
+    }
+
+    const result = await change(current.record);
+    if (result.error) return result;
+    const record = { ...result.record, updatedAt: new Date().toISOString() };
+    if (await putCollection(env, record, current.etag)) {
+      await syncCollectionMembers(env, id, current.record.items, record.items);
+      return { record };
+    }
+  }
+  return { error: "conflict", message: "The collection is being changed by someone else; try again", status: 409 };
+}
+
+async function createCollection(env, settings, items, principal) {
+  const now = new Date().toISOString();
+  const record = {
+    id: `col_${toHex(crypto.getRandomValues(new Uint8Array(6)))}`,
+    name: settings.name,
+    description: settings.description ?? null,
+    visibility: settings.visibility ?? "public",
+    cover: null,
+    items: [],
+    createdBy: principal.id,
+    createdAt: now,
+    updatedAt: now
+  };
+  const result = applyCollectionChange(record, { settings, add: items });
+  if (result.error) return result;
+  await putCollection(env, result.record);
+  await syncCollectionMembers(env, record.id, [], result.record.items);
+  return result;
+}
+
+// Name, description, visibility and cover from a body (`partial` for PATCH): { settings } or { error, message }
+function parseCollectionSettings(body, { partial = false } = {}) {
+  const settings = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name || name.length > COLLECTION_CONFIG.MAX_NAME_LENGTH) {
+      return { error: "invalid_name", message: `name must be 1-${COLLECTION_CONFIG.MAX_NAME_LENGTH} characters` };
+    }
+    settings.name = name;
+  }
+
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== "string"
+        || body.description.length > COLLECTION_CONFIG.MAX_DESCRIPTION_LENGTH)) {
+      return {
+        error: "invalid_description",
+        message: `description must be text of at most ${COLLECTION_CONFIG.MAX_DESCRIPTION_LENGTH} characters`
+      };
+    }
+    settings.description = body.description;
+  }
+
+  if (body.visibility !== undefined) {
+    if (!COLLECTION_CONFIG.VISIBILITIES.includes(body.visibility)) {
+      return { error: "invalid_visibility", message: `visibility must be one of: ${COLLECTION_CONFIG.VISIBILITIES.join(", ")}` };
+    }
+    settings.visibility = body.visibility;
+  }
+
+  if (body.cover !== undefined) {
+    if (body.cover === null) {
+      settings.cover = null;
+    } else {
+      const [cover] = parseArtworkRefs([body.cover]) || [];
+      if (!cover) {
+        return { error: "invalid_cover", message: "cover must be { type, id } of an item in the collection, or null" };
+      }
+      settings.cover = cover;
+    }
+  }
+
+  return { settings };
+}
+
+// [{ type: "image" | "sculpture", id }], or null if any entry isn't one
+function parseArtworkRefs(list) {
+  if (!Array.isArray(list)) return null;
+  const refs = list.map(ref => ref && METADATA_PREFIXES[ref.type] && ARTWORK_ID_PATTERN.test(ref.id)
+    ? { type: ref.type, id: ref.id }
+    : null);
+  return refs.includes(null) ? null : refs;
+}
+
+function sameArtwork(a, b) {
+  return a.type === b.type && a.id === b.id;
+}
+
+function collectionMemberKey(item, collectionId) {
+  return `${COLLECTION_MEMBER_PREFIX}${item.type}/${item.id}/${collectionId}`;
+}
+
+// Write markers for items that joined collection `id` and drop them for items that left
+async function syncCollectionMembers(env, id, before, after) {
+  const joined = after.filter(item => !before.some(other => sameArtwork(item, other)));
+  const left = before.filter(item => !after.some(other => sameArtwork(item, other)));
+  await Promise.all(joined.map(item => env.ART.put(collectionMemberKey(item, id), "")));
+  if (left.length) await env.ART.delete(left.map(item => collectionMemberKey(item, id)));
+}
+
+// Flag an item withheld (or not) in every collection holding it, or take it out once deleted
+async function updateItemCollections(env, record, { withheld, deleted = false }) {
+  const listed = await env.ART.list({ prefix: `${COLLECTION_MEMBER_PREFIX}${record.type}/${record.id}/` });
+  await Promise.all(listed.objects.map(obj => updateCollection(env, obj.key.split("/").pop(), null, collection => deleted
+    ? applyCollectionChange(collection, { remove: [record] })
+    : { record: { ...collection, items: collection.items.map(item => sameArtwork(item, record) ? markWithheld(item, withheld) : item) } })));
+}
+
+function markWithheld(item, withheld) {
+  const { withheld: _, ...rest } = item;
+  return withheld ? { ...rest, withheld: true } : rest;
+}
+
+// Hidden and quarantined members stay in `items` (in place, for a restore) but aren't counted
+function visibleItemCount(collection) {
+  return collection.items.filter(item => !item.withheld).length;
+}
+
+// Look up artwork about to join a collection: { records } or a 404 { error }
+async function loadCollectionArtwork(env, refs) {
+  const records = await Promise.all(refs.map(ref => getArtworkMetadata(env, ref.type, ref.id)));
+  const missing = refs.find((ref, i) => !records[i] || isWithheld(records[i]));
+  if (missing) {
+    return { error: "artwork_not_found", message: `No ${missing.type} ${missing.id} in the gallery`, status: 404 };
+  }
+  return { records };
+}
+
+// The picture that stands for an artwork: the image itself, or a sculpture's 2D source
+function coverFor(record) {
+  return { type: record.type, id: record.id, key: record.type === "image" ? record.key : record.sourceImageKey };
+}
+
+// Apply settings, additions, removals or a replacement to a collection record: { record } or { error, message, status }
+function applyCollectionChange(collection, { settings = {}, add = [], position, remove = [], replace }) {
+  let items = collection.items;
+  const now = new Date().toISOString();
+
+  if (replace) {
+    items = replace.map(record =>
+      items.find(item => sameArtwork(item, record)) || { type: record.type, id: record.id, addedAt: now });
+  }
+  items = items.filter(item => !remove.some(ref => sameArtwork(item, ref)));
+
+  const added = add
+    .filter((record, i) => !items.some(item => sameArtwork(item, record))
+      && add.findIndex(other => sameArtwork(other, record)) === i)
+    .map(record => ({ type: record.type, id: record.id, addedAt: now }));
+  items = [...items];
+  items.splice(position ?? items.length, 0, ...added);
+
+  if (items.length > COLLECTION_CONFIG.MAX_ITEMS) {
+    return { error: "collection_full", message: `Collections hold at most ${COLLECTION_CONFIG.MAX_ITEMS} items`, status: 409 };
+  }
+
+  const { cover: requestedCover, ...rest } = settings;
+  let cover = collection.cover;
+  if (requestedCover !== undefined) {
+    cover = requestedCover;
+  }
+  if (cover && !items.some(item => sameArtwork(item, cover))) {
+    if (requestedCover) {
+      return { error: "invalid_cover", message: "The cover must be an item in the collection" };
+    }
+    cover = null;
+  }
+  if (requestedCover !== null && !cover && add.length) {
+    cover = coverFor(add[0]);
+  }
+
+  return { record: { ...collection, ...rest, cover, items } };
+}
+
+// Resolve `cover` refs to { type, id, key }: { settings } or a 404 { error }
+async function resolveCollectionCover(env, settings) {
+  if (!settings.cover) return { settings };
+  const loaded = await loadCollectionArtwork(env, [settings.cover]);
+  if (loaded.error) return loaded;
+  return { settings: { ...settings, cover: coverFor(loaded.records[0]) } };
+}
+
+// Body `collection` on a generation route: the caller must be able to edit it
+async function checkCollectionTarget(env, id, principal) {
+  if (typeof id !== "string" || !COLLECTION_ID_PATTERN.test(id)) {
+    return { error: "invalid_collection", message: "collection must be a collection id" };
+  }
+  if (!principal.scopes.includes("curate")) {
+    return { error: "forbidden", message: "Filing into a collection needs the curate scope", status: 403 };
+  }
+
+  const current = await getCollection(env, id);
+  if (!current || !canViewCollection(principal, current.record)) {
+    return { error: "collection_not_found", message: `No collection ${id}`, status: 404 };
+  }
+  if (!canEditCollection(principal, current.record)) {
+    return { error: "forbidden", message: "This key can't edit this collection", status: 403 };
+  }
+  return { id };
+}
+
+// Add freshly generated artwork; the artwork is already stored, so a failure here is only logged
+async function fileIntoCollection(env, id, records) {
+  try {
+    const result = await updateCollection(env, id, null, collection => applyCollectionChange(collection, { add: records }));
+    if (result.error) console.error(`Could not file into collection ${id}: ${result.error}`);
+  } catch (error) {
+    console.error(`Could not file into collection ${id}:`, error);
+  }
+}
+
+// JSON object request body, or { error, message } if it isn't one
+async function readJsonBody(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    body = null;
+  }
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "invalid_json", message: "Request body must be a JSON object" };
+  }
+  return body;
+}
+
+// ?limit and ?cursor for collections and search: { cursor | offset, limit } or { error, message }
+function parsePagingQuery(url, keyPrefix = null) {
+  const params = url.searchParams;
+  const page = {};
+
+  if (params.has("limit")) {
+    const limit = Number(params.get("limit"));
+    if (!Number.isInteger(limit) || limit < 1 || limit > LISTING_CONFIG.MAX_LIMIT) {
+      return { error: "invalid_limit", message: `Limit must be between 1 and ${LISTING_CONFIG.MAX_LIMIT}` };
+    }
+    page.limit = limit;
+  }
+
+  if (params.has("cursor")) {
+    const cursor = decodeListingCursor(params.get("cursor"));
+    const valid = keyPrefix ? cursor?.startsWith(keyPrefix) : /^\d+$/.test(cursor || "");
+    if (!valid) {
+      return { error: "invalid_cursor", message: "Cursor is not valid for this listing" };
+    }
+    if (keyPrefix) page.cursor = cursor;
+    else page.offset = Number(cursor);
+  }
+
+  return page;
+}
+
+function toPublicCollection(collection, origin) {
+  return {
+    id: collection.id,
+    name: collection.name,
+    description: collection.description,
+    visibility: collection.visibility,
+    itemCount: visibleItemCount(collection),
+    cover: collection.cover && { type: collection.cover.type, id: collection.cover.id },
+    coverUrl: collection.cover?.key ? `${origin}/${collection.cover.key}` : null,
+    createdAt: collection.createdAt,
+    updatedAt: collection.updatedAt
+  };
+}
+
+// Covers aren't updated when their artwork is hidden or deleted, so such a cover reads as none
+async function dropWithheldCover(env, collection) {
+  if (!collection.cover) return collection;
+  const record = await getArtworkMetadata(env, collection.cover.type, collection.cover.id);
+  return record && !isWithheld(record) ? collection : { ...collection, cover: null };
+}
+
+// One page of a collection's items, in order; hidden and deleted artwork is skipped
+async function listCollectionItems(env, collection, origin, { offset = 0, limit = LISTING_CONFIG.DEFAULT_LIMIT }) {
+  const page = collection.items.slice(offset, offset + limit);
+  const records = await Promise.all(page.map(item => getArtworkMetadata(env, item.type, item.id)));
+
+  return {
+    items: page
+      .map((item, i) => records[i] && !isWithheld(records[i]) && {
+        ...toPublicArtwork(records[i], origin),
+        position: offset + i,
+        addedAt: item.addedAt
+      })
+      .filter(Boolean),
+    nextCursor: offset + limit < collection.items.length ? encodeListingCursor(String(offset + limit)) : null
+  };
+}
+
+// The collections `principal` can see, in key order, from the listing metadata alone (up to MAX_SCAN_PAGES)
+async function listCollections(env, principal, origin, { cursor, limit = LISTING_CONFIG.DEFAULT_LIMIT }) {
+  const collections = [];
+  const coverKeys = [];
+  let lastKey = null;
+  let hasMore = false;
+  let r2Cursor;
+  let pages = 0;
+
+  scan: while (true) {
+    const page = await env.ART.list({
+      prefix: COLLECTION_PREFIX,
+      limit: 1000,
+      include: ["customMetadata"],
+      ...(r2Cursor ? { cursor: r2Cursor } : { startAfter: cursor })
+    });
+
+    for (const obj of page.objects) {
+      const summary = obj.customMetadata || {};
+      const visible = canViewCollection(principal, { visibility: summary.visibility, createdBy: summary.createdBy || null });
+      if (visible && collections.length === limit) {
+        hasMore = true;
+        break scan;
+      }
+
+      lastKey = obj.key;
+      if (!visible) continue;
+      coverKeys.push(summary.coverKey);
+      collections.push({
+        id: obj.key.slice(COLLECTION_PREFIX.length, -".json".length),
+        name: summary.name,
+        visibility: summary.visibility,
+        itemCount: Number(summary.itemCount || 0),
+        coverUrl: summary.coverKey ? `${origin}/${summary.coverKey}` : null,
+        updatedAt: summary.updatedAt
+      });
+    }
+
+    if (!page.truncated) break;
+    // Other keys' private collections are skipped; the cursor resumes after the last key read
+    if (++pages === LISTING_CONFIG.MAX_SCAN_PAGES) {
+      hasMore = lastKey !== null;
+      break;
+    }
+    r2Cursor = page.cursor;
+  }
+
+  // A hidden or deleted cover's file is no longer at its public key
+  const covers = await Promise.all(coverKeys.map(key => key && env.ART.head(key)));
+  collections.forEach((collection, i) => {
+    if (!covers[i]) collection.coverUrl = null;
+  });
+
+  return { collections, nextCursor: hasMore ? encodeListingCursor(lastKey) : null };
+}
+
+// ========================================
+// Search index (SPEND_TRACKER KV: one key per term and artwork)
+// ========================================
+
+// search:t:<term>:<9999999999999 - ms>_<type>_<id> postings sort newest-first; search:doc:<type>:<id> lists an item's terms
+const SEARCH_TERM_PREFIX = "search:t:";
+const SEARCH_DOC_PREFIX = "search:doc:";
+
+const SEARCH_STOPWORDS = new Set([
+  "a", "an", "and", "as", "at", "by", "for", "from", "in", "into", "is", "it",
+  "its", "of", "on", "or", "the", "this", "that", "to", "with"
+]);
+
+const MAX_SEARCH_TERM_LENGTH = 40;
+
+// Lowercase words without accents or stopwords, plurals reduced to the singular
+function searchTerms(text) {
+  const words = text
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+  const terms = words
+    .filter(word => word.length > 1 && word.length <= MAX_SEARCH_TERM_LENGTH && !SEARCH_STOPWORDS.has(word))
+    .map(word => {
+      if (word.length > 4 && word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+      if (word.length > 4 && /(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+      if (word.length > 3 && word.endsWith("s") && !/(ss|us|is)$/.test(word)) return word.slice(0, -1);
+      return word;
+    });
+  return [...new Set(terms)];
+}
+
+// User tags: lowercase words, hyphens allowed inside ("blue-room"); null if invalid
+function parseTags(list) {
+  if (!Array.isArray(list) || list.length > SEARCH_CONFIG.MAX_TAGS) return null;
+  const tags = list.map(tag => typeof tag === "string" ? tag.trim().toLowerCase() : "");
+  const valid = tags.every(tag =>
+    tag.length <= SEARCH_CONFIG.MAX_TAG_LENGTH && /^[\p{L}\p{N}]+(-[\p{L}\p{N}]+)*$/u.test(tag));
+  return valid ? [...new Set(tags)] : null;
+}
+
+// Tags every artwork gets from its own record
+function autoTags(record) {
+  const tags = [record.type, record.provider, record.parameters?.stylePreset, record.operation];
+  const width = record.width ?? record.parameters?.width;
+  const height = record.height ?? record.parameters?.height;
+  if (record.type === "image" && width && height) {
+    tags.push(width === height ? "square" : width > height ? "landscape" : "portrait");
+  }
+  return [...new Set(tags.filter(Boolean).map(tag => String(tag).toLowerCase()))];
+}
+
+// term → { score, tag }, where `tag` says the term is one of the item's tags
+function searchPostings(record) {
+  const postings = new Map();
+  const add = (term, field, tag) => {
+    const posting = postings.get(term) || { score: 0, tag: false, fields: new Set() };
+    if (!posting.fields.has(field)) {
+      posting.fields.add(field);
+      posting.score += SEARCH_CONFIG.FIELD_WEIGHTS[field];
+    }
+    posting.tag ||= tag;
+    postings.set(term, posting);
+  };
+
+  for (const term of searchTerms(record.prompt || "")) add(term, "prompt", false);
+  for (const tag of autoTags(record)) add(tag, "autoTag", true);
+  for (const tag of record.tags || []) add(tag, "tag", true);
+  return postings;
+}
+
+function searchDocumentKey(record) {
+  return `${SEARCH_DOC_PREFIX}${record.type}:${record.id}`;
+}
+
+function searchPostingKey(term, record) {
+  return `${SEARCH_TERM_PREFIX}${term}:${reverseTimestamp(new Date(record.createdAt))}_${record.type}_${record.id}`;
+}
+
+async function isIndexedForSearch(env, record) {
+  return (await env.SPEND_TRACKER.get(searchDocumentKey(record))) !== null;
+}
+
+// Add an artwork or bring its entry up to date (after a tag edit, say)
+async function indexArtworkForSearch(env, record) {
+  const previous = await env.SPEND_TRACKER.get(searchDocumentKey(record), "json");
+  const postings = searchPostings(record);
+  const stale = (previous?.terms || []).filter(term => !postings.has(term));
+
+  await Promise.all([
+    ...stale.map(term => env.SPEND_TRACKER.delete(searchPostingKey(term, record))),
+    ...[...postings].map(([term, { score, tag }]) => env.SPEND_TRACKER.put(searchPostingKey(term, record), "", {
+      metadata: {
+        type: record.type,
+        id: record.id,
+        provider: record.provider ?? null,
+        createdAt: record.createdAt,
+        score,
+        tag
+      }
+    }))
+  ]);
+  await env.SPEND_TRACKER.put(searchDocumentKey(record), JSON.stringify({ terms: [...postings.keys()] }));
+}
+
+async function removeArtworkFromSearch(env, record) {
+  const entry = await env.SPEND_TRACKER.get(searchDocumentKey(record), "json");
+  if (!entry) return;
+  await Promise.all(entry.terms.map(term => env.SPEND_TRACKER.delete(searchPostingKey(term, record))));
+  await env.SPEND_TRACKER.delete(searchDocumentKey(record));
+}
+
+// Parse the search query string, or { error, message } for a 400 response
+function parseSearchQuery(url) {
+  const params = url.searchParams;
+  const q = params.get("q") || "";
+  if (q.length > SEARCH_CONFIG.MAX_QUERY_LENGTH) {
+    return { error: "query_too_long", message: `q must be at most ${SEARCH_CONFIG.MAX_QUERY_LENGTH} characters` };
+  }
+
+  const query = {
+    terms: searchTerms(q),
+    tags: [],
+    offset: 0,
+    limit: LISTING_CONFIG.DEFAULT_LIMIT
+  };
+
+  if (params.has("tags")) {
+    query.tags = parseTags(params.get("tags").split(","));
+    if (!query.tags || query.tags.length > SEARCH_CONFIG.MAX_QUERY_TERMS) {
+      return { error: "invalid_tags", message: `tags must be a comma-separated list of at most ${SEARCH_CONFIG.MAX_QUERY_TERMS} tags` };
+    }
+  }
+  query.terms = query.terms.slice(0, SEARCH_CONFIG.MAX_QUERY_TERMS - query.tags.length);
+  if (!query.terms.length && !query.tags.length) {
+    return { error: "invalid_query", message: "Send q with at least one keyword, or tags" };
+  }
+
+  if (params.has("type")) {
+    query.type = ARTWORK_COLLECTIONS[params.get("type")] || params.get("type");
+    if (!METADATA_PREFIXES[query.type]) {
+      return { error: "invalid_type", message: "Type must be image or sculpture" };
+    }
+  }
+
+  if (params.has("provider")) query.provider = params.get("provider");
+
+  for (const name of ["since", "until"]) {
+    if (!params.has(name)) continue;
+    const date = new Date(params.get(name));
+    if (isNaN(date)) {
+      return { error: "invalid_date", message: `${name} must be an ISO 8601 date` };
+    }
+    query[name] = date;
+  }
+
+  const page = parsePagingQuery(url);
+  if (page.error) return page;
+  return { ...query, ...page };
+}
+
+async function listSearchPostings(env, term, max = SEARCH_CONFIG.MAX_POSTINGS) {
+  const postings = [];
+  let cursor;
+  do {
+    const page = await env.SPEND_TRACKER.list({ prefix: `${SEARCH_TERM_PREFIX}${term}:`, cursor });
+    postings.push(...page.keys.map(key => key.metadata));
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && postings.length < max);
+  return postings;
+}
+
+// Artwork matching every keyword and tag, ranked by FIELD_WEIGHTS, ties to the newest
+async function searchArtwork(env, query) {
+  const wanted = [
+    ...query.terms.map(term => ({ term, tagOnly: false })),
+    ...query.tags.map(term => ({ term, tagOnly: true }))
+  ];
+  const lists = await Promise.all(wanted.map(({ term }) => listSearchPostings(env, term)));
+
+  let matches = null;
+  wanted.forEach(({ tagOnly }, i) => {
+    const found = new Map();
+    for (const posting of lists[i]) {
+      if (tagOnly && !posting.tag) continue;
+      const key = `${posting.type}:${posting.id}`;
+      if (matches && !matches.has(key)) continue;
+      found.set(key, { ...posting, score: (matches?.get(key).score ?? 0) + posting.score });
+    }
+    matches = found;
+  });
+
+  const ranked = [...matches.values()]
+    .filter(match => !query.type || match.type === query.type)
+    .filter(match => !query.provider || match.provider === query.provider)
+    .filter(match => !query.since || new Date(match.createdAt) >= query.since)
+    .filter(match => !query.until || new Date(match.createdAt) <= query.until)
+    .sort((a, b) => b.score - a.score || b.createdAt.localeCompare(a.createdAt));
+
+  const offset = query.offset ?? 0;
+  const page = ranked.slice(offset, offset + query.limit);
+  const records = await Promise.all(page.map(match => getArtworkMetadata(env, match.type, match.id)));
+
+  return {
+    results: page
+      .map((match, i) => records[i] && !isWithheld(records[i]) && { record: records[i], score: match.score })
+      .filter(Boolean),
+    total: ranked.length,
+    nextCursor: offset + query.limit < ranked.length ? encodeListingCursor(String(offset + query.limit)) : null
+  };
+}
+
+// ========================================
+// Permalink pages and oEmbed
+// ========================================
+
+// Images and sculptures share the id format; an id names an image first
+async function findArtwork(env, id) {
+  const records = await Promise.all(
+    Object.keys(METADATA_PREFIXES).map(type => getArtworkMetadata(env, type, id))
+  );
+  return records.find(record => record && !isWithheld(record)) || null;
+}
+
+// Other artwork sharing the most tags and prompt words with `record`
+async function relatedArtwork(env, record) {
+  const terms = [...new Set([...(record.tags || []), ...searchTerms(record.prompt || "")])]
+    .slice(0, PERMALINK_CONFIG.RELATED_TERMS);
+  const lists = await Promise.all(terms.map(term => listSearchPostings(env, term, 1000)));
+
+  const candidates = new Map();
+  for (const posting of lists.flat()) {
+    if (posting.type === record.type && posting.id === record.id) continue;
+    const key = `${posting.type}:${posting.id}`;
+    candidates.set(key, { ...posting, score: (candidates.get(key)?.score ?? 0) + posting.score });
+  }
+
+  // Withheld items can linger in the index, so load a few spares
+  const ranked = [...candidates.values()]
+    .sort((a, b) => b.score - a.score || b.createdAt.localeCompare(a.createdAt))
+    .slice(0, PERMALINK_CONFIG.RELATED_LIMIT * 2);
+  const records = await Promise.all(ranked.map(match => getArtworkMetadata(env, match.type, match.id)));
+  return records
+    .filter(related => related && !isWithheld(related))
+    .slice(0, PERMALINK_CONFIG.RELATED_LIMIT);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function permalinkUrl(origin, record) {
+  return `${origin}/a/${encodeURIComponent(record.id)}`;
+}
+
+// The picture that stands for an artwork in cards and thumbnails: the image
+// itself, or the 2D source image a sculpture was made from
+function artworkPicture(record, origin) {
+  if (record.type === "sculpture") {
+    return {
+      url: `${origin}/${record.sourceImageKey}`,
+      width: record.sourceImage?.width ?? null,
+      height: record.sourceImage?.height ?? null
+    };
+  }
+  return {
+    url: `${origin}/${record.key}`,
+    width: record.width ?? record.parameters?.width ?? null,
+    height: record.height ?? record.parameters?.height ?? null
+  };
+}
+
+// Items indexed by /api/admin/reindex have no prompt on record
+function artworkPrompt(record) {
+  return record.prompt || "Untitled artwork";
+}
+
+// "Image" or "3D sculpture", for page descriptions
+function artworkLabel(record) {
+  return record.type === "sculpture" ? "3D sculpture" : "Image";
+}
+
+function formatArtworkDate(createdAt) {
+  return new Date(createdAt).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+    timeZone: "UTC"
+  });
+}
+
+// Server-rendered permalink page with Open Graph tags (`embed` renders just the artwork)
+function renderPermalinkPage(record, related, origin, { embed = false } = {}) {
+  const pageUrl = permalinkUrl(origin, record);
+  const fileUrl = `${origin}/${record.key}`;
+  const picture = artworkPicture(record, origin);
+  const prompt = artworkPrompt(record);
+  const title = prompt.length > 70 ? `${prompt.slice(0, 69)}…` : prompt;
+  const description = [
+    artworkLabel(record),
+    record.provider && `generated by ${record.provider}`,
+    `on ${formatArtworkDate(record.createdAt)}`
+  ].filter(Boolean).join(" ");
+  const oembedUrl = `${origin}/oembed?url=${encodeURIComponent(pageUrl)}&format=json`;
+
+  const sourceFigure = embed ? "" : `
+    <figure><img src="${escapeHtml(picture.url)}" alt="Source image"><figcaption>Source image</figcaption></figure>`;
+  const media = record.type === "sculpture"
+    ? `<div class="sculpture">
+    <model-viewer src="${escapeHtml(fileUrl)}" poster="${escapeHtml(picture.url)}" alt="${escapeHtml(prompt)}" camera-controls auto-rotate shadow-intensity="1"></model-viewer>${sourceFigure}
+  </div>`
+    : `<img class="artwork" src="${escapeHtml(fileUrl)}"${picture.width ? ` width="${picture.width}" height="${picture.height}"` : ""}
+    srcset="${escapeHtml(imageVariantUrls(fileUrl, picture.width).srcset)}" sizes="(max-width: 900px) 100vw, 900px" alt="${escapeHtml(prompt)}">`;
+
+  const relatedTiles = related.map(item => {
+    const thumbnail = artworkPicture(item, origin);
+    const src = item.type === "image" ? imageVariantUrls(thumbnail.url).variants.thumbnail : thumbnail.url;
+    const badge = item.type === "sculpture" ? "<span>3D</span>" : "";
+    return `<a href="${escapeHtml(permalinkUrl(origin, item))}" title="${escapeHtml(artworkPrompt(item))}">` +
+      `<img src="${escapeHtml(src)}" alt="${escapeHtml(artworkPrompt(item))}" loading="lazy">${badge}</a>`;
+  }).join("\n    ");
+
+  const tags = (record.tags || []).map(tag => `#${escapeHtml(tag)}`).join(" ");
+
+  const content = embed ? media : `<p><a class="home" href="${origin}/">AI Gallery</a></p>
+  ${media}
+  <h1>${escapeHtml(prompt)}</h1>
+  <p class="meta">
+    ${[artworkLabel(record), record.provider, record.model].filter(Boolean).map(escapeHtml).join(" · ")} ·
+    <time datetime="${escapeHtml(record.createdAt)}">${formatArtworkDate(record.createdAt)}</time>
+  </p>
+  ${tags ? `<p class="meta">${tags}</p>` : ""}
+  <div class="actions">
+    <a href="${escapeHtml(fileUrl)}" download>Download</a>
+    <a href="${origin}/#${record.type === "sculpture" ? "sculptures" : "images"}/${encodeURIComponent(record.id)}">Open in the gallery</a>
+  </div>
+  ${related.length ? `<h2>Related</h2>
+  <div class="related">
+    ${relatedTiles}
+  </div>` : ""}`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width,initial-scale=1">
+  <title>${escapeHtml(title)} · AI Gallery</title>
+  <meta name="description" content="${escapeHtml(description)}">
+  <link rel="canonical" href="${escapeHtml(pageUrl)}">
+  <link rel="alternate" type="application/json+oembed" href="${escapeHtml(oembedUrl)}" title="${escapeHtml(title)}">
+  <meta property="og:site_name" content="AI Gallery">
+  <meta property="og:type" content="website">
+  <meta property="og:url" content="${escapeHtml(pageUrl)}">
+  <meta property="og:title" content="${escapeHtml(title)}">
+  <meta property="og:description" content="${escapeHtml(description)}">
+  <meta property="og:image" content="${escapeHtml(picture.url)}">
+  ${picture.width ? `<meta property="og:image:width" content="${picture.width}">
+  <meta property="og:image:height" content="${picture.height}">` : ""}
+  <meta property="og:image:alt" content="${escapeHtml(prompt)}">
+  <meta name="twitter:card" content="summary_large_image">
+  <meta name="twitter:title" content="${escapeHtml(title)}">
+  <meta name="twitter:description" content="${escapeHtml(description)}">
+  <meta name="twitter:image" content="${escapeHtml(picture.url)}">
+  <meta name="twitter:image:alt" content="${escapeHtml(prompt)}">
+  ${record.type === "sculpture" ? `<script type="module" src="${MODEL_VIEWER_URL}"></script>` : ""}
+  <style>
+    * { box-sizing: border-box; }
+    body {
+      font-family: system-ui, -apple-system, sans-serif;
+      max-width: 900px;
+      margin: 0 auto;
+      padding: ${embed ? "0" : "2rem 1rem"};
+      background: #0f0f0f;
+      color: #e0e0e0;
+    }
+    a { color: #60a5fa; }
+    .home {
+      font-weight: 600;
+      text-decoration: none;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      -webkit-background-clip: text;
+      -webkit-text-fill-color: transparent;
+      background-clip: text;
+    }
+    .artwork {
+      display: block;
+      width: 100%;
+      height: auto;
+      border-radius: ${embed ? "0" : "12px"};
+    }
+    .sculpture {
+      display: flex;
+      gap: 1rem;
+      align-items: flex-start;
+    }
+    model-viewer {
+      flex: 3;
+      width: 100%;
+      height: ${embed ? "100vh" : "60vh"};
+      background: #1a1a1a;
+      border-radius: ${embed ? "0" : "12px"};
+    }
+    .sculpture figure {
+      flex: 1;
+      margin: 0;
+    }
+    .sculpture figure img {
+      width: 100%;
+      border-radius: 8px;
+    }
+    figcaption, .meta {
+      color: #888;
+      font-size: 0.9rem;
+    }
+    h1 {
+      font-size: 1.4rem;
+      line-height: 1.4;
+      margin: 1.5rem 0 0.5rem 0;
+    }
+    .actions {
+      display: flex;
+      gap: 1rem;
+      margin: 1rem 0 2rem 0;
+    }
+    .related {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(140px, 1fr));
+      gap: 0.75rem;
+    }
+    .related a {
+      position: relative;
+      display: block;
+      aspect-ratio: 1;
+      overflow: hidden;
+      border: 1px solid #333;
+      border-radius: 8px;
+    }
+    .related img {
+      width: 100%;
+      height: 100%;
+      object-fit: cover;
+    }
+    .related span {
+      position: absolute;
+      top: 0.5rem;
+      right: 0.5rem;
+      padding: 2px 8px;
+      border-radius: 4px;
+      background: rgba(15, 15, 15, 0.8);
+      color: #f093fb;
+      font-size: 0.8rem;
+      font-weight: 600;
+    }
+    @media (max-width: 768px) {
+      .sculpture {
+        flex-direction: column;
+      }
+    }
+  </style>
+</head>
+<body>
+  ${content}
+</body>
+</html>`;
+}
+
+// URLs /oembed accepts: permalinks, and the files people copy out of the page
+const ARTWORK_URL_PATTERNS = [
+  { pattern: /^\/a\/([^/]+)$/, type: null },
+  { pattern: /^\/art\/([^/]+)\.\w+$/, type: "image" },
+  { pattern: /^\/sculptures\/sculpture-([^/]+?)(?:-source\.\w+|\.glb)$/, type: "sculpture" }
+];
+
+// → { id, type } for an artwork URL on this site (type null: either); null otherwise
+function parseArtworkUrl(value, origin) {
+  let target;
+  try {
+    target = new URL(value);
+  } catch {
+    return null;
+  }
+  if (target.origin !== origin) return null;
+
+  for (const { pattern, type } of ARTWORK_URL_PATTERNS) {
+    const match = target.pathname.match(pattern);
+    const id = match && decodeURIComponent(match[1]);
+    if (id && ARTWORK_ID_PATTERN.test(id)) return { id, type };
+  }
+  return null;
+}
+
+// oEmbed 1.0: a "photo" for images, a "rich" iframe for sculptures
+// Without `variants` (no IMAGES binding) ?w= serves the original, so its own size is reported
+function buildOembed(record, origin, { maxWidth, maxHeight, variants }) {
+  const picture = artworkPicture(record, origin);
+  const fit = (width, height) => (!maxWidth || width <= maxWidth) && (!maxHeight || height <= maxHeight);
+  // Variants in JPEG, which every unfurler can show
+  const variant = (url, width) => `${url}?w=${width}&format=jpeg`;
+
+  const response = {
+    version: "1.0",
+    title: artworkPrompt(record),
+    provider_name: "AI Gallery",
+    provider_url: `${origin}/`,
+    cache_age: PERMALINK_CONFIG.CACHE_SECONDS
+  };
+
+  if (picture.width && picture.height) {
+    const thumbnailWidth = variants ? Math.min(VARIANT_CONFIG.SIZES.thumbnail, picture.width) : picture.width;
+    Object.assign(response, {
+      thumbnail_url: thumbnailWidth < picture.width ? variant(picture.url, thumbnailWidth) : picture.url,
+      thumbnail_width: thumbnailWidth,
+      thumbnail_height: Math.round(thumbnailWidth * picture.height / picture.width)
+    });
+  }
+
+  if (record.type === "sculpture") {
+    let width = PERMALINK_CONFIG.EMBED_WIDTH;
+    let height = PERMALINK_CONFIG.EMBED_HEIGHT;
+    const scale = Math.min(1, (maxWidth || width) / width, (maxHeight || height) / height);
+    width = Math.round(width * scale);
+    height = Math.round(height * scale);
+    const src = `${permalinkUrl(origin, record)}?embed=1`;
+    return {
+      ...response,
+      type: "rich",
+      width,
+      height,
+      html: `<iframe src="${escapeHtml(src)}" width="${width}" height="${height}" frameborder="0" allowfullscreen title="${escapeHtml(artworkPrompt(record))}"></iframe>`
+    };
+  }
+
+  // A photo embed needs dimensions; items stored without them are plain links
+  if (!picture.width || !picture.height) {
+    return { ...response, type: "link" };
+  }
+
+  const widths = [...(variants ? VARIANT_CONFIG.WIDTHS.filter(width => width < picture.width) : []), picture.width];
+  const heightAt = width => Math.round(width * picture.height / picture.width);
+  const width = widths.filter(w => fit(w, heightAt(w))).pop() ?? widths[0];
+  return {
+    ...response,
+    type: "photo",
+    url: width < picture.width ? variant(picture.url, width) : picture.url,
+    width,
+    height: heightAt(width)
+  };
+}
+
+// ========================================
+// Feeds (Atom and JSON Feed)
+// ========================================
+
+// The newest visible artwork of both kinds, newest first
+async function listFeedItems(env, origin) {
+  const pages = await Promise.all(Object.keys(METADATA_PREFIXES).map(type =>
+    listArtworkMetadata(env, type, { limit: FEED_CONFIG.LIMIT, statuses: ["visible"] })
+  ));
+  return pages
+    .flatMap(page => page.records)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, FEED_CONFIG.LIMIT)
+    .map(record => toPublicArtwork(record, origin));
+}
+
+// Files a feed entry links to: the image, or a sculpture's GLB and its source image
+function feedAttachments(item) {
+  return [
+    { url: item.url, type: item.contentType, size: item.size },
+    ...(item.type === "sculpture" && item.sourceImageUrl ? [{ url: item.sourceImageUrl, type: item.sourceImage?.contentType ?? null, size: null }] : [])
+  ];
+}
+
+function feedEntryHtml(item) {
+  const picture = item.type === "sculpture" ? item.sourceImageUrl : item.url;
+  const caption = item.type === "sculpture" ? "3D sculpture" : "Image";
+  return (picture ? `<p><img src="${escapeHtml(picture)}" alt="${escapeHtml(artworkPrompt(item))}"></p>` : "") +
+    `<p>${caption}${item.provider ? ` generated by ${escapeHtml(item.provider)}` : ""}</p>`;
+}
+
+function renderAtomFeed(items, origin) {
+  const updated = items[0]?.createdAt ?? new Date().toISOString();
+  const entries = items.map(item => {
+    const pageUrl = permalinkUrl(origin, item);
+    const enclosures = feedAttachments(item).map(file =>
+      `<link rel="enclosure" href="${escapeHtml(file.url)}"${file.type ? ` type="${escapeHtml(file.type)}"` : ""}${file.size ? ` length="${file.size}"` : ""}/>`);
+    const categories = [item.type, ...(item.tags || [])].map(tag => `<category term="${escapeHtml(tag)}"/>`);
+    return `  <entry>
+    <id>${escapeHtml(pageUrl)}</id>
+    <title>${escapeHtml(artworkPrompt(item))}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(pageUrl)}"/>
+    ${[...enclosures, ...categories].join("\n    ")}
+    <published>${item.createdAt}</published>
+    <updated>${item.createdAt}</updated>
+    <content type="html">${escapeHtml(feedEntryHtml(item))}</content>
+  </entry>`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${origin}/</id>
+  <title>${escapeHtml(FEED_CONFIG.TITLE)}</title>
+  <subtitle>Newly generated images and 3D sculptures</subtitle>
+  <link rel="self" type="application/atom+xml" href="${origin}/feed.xml"/>
+  <link rel="alternate" type="text/html" href="${origin}/"/>
+  <updated>${updated}</updated>
+  <author><name>${escapeHtml(FEED_CONFIG.TITLE)}</name></author>
+${entries.join("\n")}
+</feed>
+`;
+}
+
+// JSON Feed 1.1 (https://jsonfeed.org/version/1.1)
+function buildJsonFeed(items, origin) {
+  return {
+    version: "https://jsonfeed.org/version/1.1",
+    title: FEED_CONFIG.TITLE,
+    description: "Newly generated images and 3D sculptures",
+    home_page_url: `${origin}/`,
+    feed_url: `${origin}/feed.json`,
+    authors: [{ name: FEED_CONFIG.TITLE, url: `${origin}/` }],
+    items: items.map(item => ({
+      id: permalinkUrl(origin, item),
+      url: permalinkUrl(origin, item),
+      title: artworkPrompt(item),
+      content_html: feedEntryHtml(item),
+      ...(item.type === "image" && { image: item.url }),
+      ...(item.type === "sculpture" && item.sourceImageUrl && { image: item.sourceImageUrl }),
+      date_published: item.createdAt,
+      tags: [item.type, ...(item.tags || [])],
+      // mime_type is required here, so files of unknown type are left out
+      attachments: feedAttachments(item).filter(file => file.type).map(file => ({
+        url: file.url,
+        mime_type: file.type,
+        ...(file.size && { size_in_bytes: file.size })
+      }))
+    }))
+  };
+}
+
+// ========================================
+// Scheduled generation (SPEND_TRACKER KV: autogen:settings, autogen:last-run)
+// ========================================
+
+// Templates fill "{slot}" with a random entry of words[slot], e.g. "a {animal} in {place}"
+const AUTOGEN_SETTINGS_KEY = "autogen:settings";
+const AUTOGEN_LAST_RUN_KEY = "autogen:last-run";
+const AUTOGEN_SLOT_PATTERN = /\{([a-z][a-z0-9_]*)\}/g;
+
+// Scheduled runs act with admin scopes; their spend is booked to keyId "scheduler"
+const SCHEDULER_PRINCIPAL = {
+  kind: "scheduler",
+  id: "scheduler",
+  name: "scheduled generation",
+  scopes: API_KEY_CONFIG.SCOPES,
+  rateLimit: null,
+  dailyBudget: null
+};
+const SCHEDULER_CLIENT = {
+  ip: null,
+  country: null,
+  userAgent: null,
+  origin: null,
+  auth: "scheduler",
+  keyId: "scheduler"
+};
+
+async function getAutogenSettings(env) {
+  return env.SPEND_TRACKER.get(AUTOGEN_SETTINGS_KEY, "json");
+}
+
+async function putAutogenSettings(env, settings, principal) {
+  await env.SPEND_TRACKER.put(AUTOGEN_SETTINGS_KEY, JSON.stringify({
+    ...settings,
+    updatedAt: new Date().toISOString(),
+    updatedBy: principal.id
+  }));
+}
+
+function isPromptList(list, max) {
+  return Array.isArray(list) && list.length <= max && list.every(item => typeof item === "string" && item.trim());
+}
+
+// Validate the body of PUT /api/admin/autogen: { settings } or { error, message, status }
+async function parseAutogenSettings(env, body) {
+  const type = body.type ?? "image";
+  const kind = GENERATION_KINDS[type];
+  if (!kind) {
+    return { error: "invalid_type", message: "type must be image or sculpture" };
+  }
+
+  const prompts = body.prompts ?? [];
+  const templates = body.templates ?? [];
+  const words = body.words ?? {};
+  if (!isPromptList(prompts, AUTOGEN_CONFIG.MAX_PROMPTS) || !isPromptList(templates, AUTOGEN_CONFIG.MAX_TEMPLATES)) {
+    return {
+      error: "invalid_prompts",
+      message: `prompts and templates must be lists of at most ${AUTOGEN_CONFIG.MAX_PROMPTS} and ${AUTOGEN_CONFIG.MAX_TEMPLATES} strings`
+    };
+  }
+  if (!prompts.length && !templates.length) {
+    return { error: "invalid_prompts", message: "Send at least one prompt or template" };
+  }
+  const tooLong = prompts.find(prompt => prompt.trim().length > SECURITY_CONFIG.MAX_PROMPT_LENGTH
+    || prompt.trim().length < SECURITY_CONFIG.MIN_PROMPT_LENGTH);
+  if (tooLong) {
+    return {
+      error: "invalid_prompts",
+      message: `Prompts must be ${SECURITY_CONFIG.MIN_PROMPT_LENGTH}-${SECURITY_CONFIG.MAX_PROMPT_LENGTH} characters: "${tooLong.slice(0, 50)}"`
+    };
+  }
+
+  if (typeof words !== "object" || Array.isArray(words)
+      || !Object.values(words).every(list => isPromptList(list, AUTOGEN_CONFIG.MAX_WORDS) && list.length)) {
+    return {
+      error: "invalid_words",
+      message: `words must map each template slot to a list of 1-${AUTOGEN_CONFIG.MAX_WORDS} strings`
+    };
+  }
+  for (const template of templates) {
+    const missing = [...template.matchAll(AUTOGEN_SLOT_PATTERN)].find(([, slot]) => !words[slot]);
+    if (missing) {
+      return { error: "invalid_words", message: `No words for {${missing[1]}} in "${template.slice(0, 50)}"` };
+    }
+  }
+
+  const parameters = body.parameters ?? {};
+  if (typeof parameters !== "object" || Array.isArray(parameters)) {
+    return { error: "invalid_parameters", message: "parameters must be an object" };
+  }
+  const plan = await kind.plan(parameters, env);
+  if (plan.error) return plan;
+
+  if (body.collection !== undefined) {
+    const target = await checkCollectionTarget(env, body.collection, SCHEDULER_PRINCIPAL);
+    if (target.error) return target;
+  }
+
+  return {
+    settings: {
+      paused: body.paused === true,
+      type,
+      prompts: prompts.map(prompt => prompt.trim()),
+      templates: templates.map(template => template.trim()),
+      words,
+      parameters,
+      ...(body.collection !== undefined && { collection: body.collection })
+    }
+  };
+}
+
+function pickAtRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+function pickAutogenPrompt(settings) {
+  const pool = [
+    ...settings.prompts.map(prompt => ({ prompt })),
+    ...settings.templates.map(template => ({ template }))
+  ];
+  const choice = pickAtRandom(pool);
+  return choice.prompt ?? choice.template.replace(AUTOGEN_SLOT_PATTERN, (_, slot) => pickAtRandom(settings.words[slot]));
+}
+
+// One scheduled run; the outcome is logged and kept for GET /api/admin/autogen
+async function runAutoGeneration(env, { trigger, force = false }) {
+  const run = { trigger, at: new Date().toISOString() };
+  // Never throws: a failed status write is logged, and can't turn a finished run into a failed one
+  const finish = async outcome => {
+    Object.assign(run, outcome);
+    console.log(JSON.stringify({ event: "autogen", ...run }));
+    try {
+      await env.SPEND_TRACKER.put(AUTOGEN_LAST_RUN_KEY, JSON.stringify(run));
+    } catch (error) {
+      console.error("Could not record the scheduled run:", error);
+    }
+    return run;
+  };
+
+  try {
+    const settings = await getAutogenSettings(env);
+    if (!settings) return finish({ status: "skipped", reason: "not_configured" });
+    if (settings.paused && !force) return finish({ status: "skipped", reason: "paused" });
+
+    const kind = GENERATION_KINDS[settings.type];
+    const prompt = pickAutogenPrompt(settings);
+    const body = {
+      ...settings.parameters,
+      prompt,
+      ...(settings.collection && { collection: settings.collection })
+    };
+    const vetted = await vetGenerationPrompt(env, body, {}, {
+      policy: kind.policy,
+      plan: () => kind.plan(body, env)
+    }, SCHEDULER_PRINCIPAL, SCHEDULER_CLIENT);
+    if (vetted.error) return finish({ status: "skipped", reason: vetted.error, prompt });
+
+    const { plan } = vetted;
+    const reserved = await reserveSpend(env, [plan.cost], SCHEDULER_PRINCIPAL);
+    if (reserved.error) return finish({ status: "skipped", reason: reserved.error, prompt });
+    plan.hold = reserved.holds[0];
+
+    plan.tags = [AUTOGEN_CONFIG.TAG];
+    const output = await kind.run(env, { prompt: vetted.prompt, plan, client: SCHEDULER_CLIENT });
+    const records = Array.isArray(output) ? output : [output];
+    return finish({
+      status: "generated",
+      prompt,
+      type: settings.type,
+      ids: records.map(record => record.id),
+      cost: plan.cost
+    });
+  } catch (error) {
+    console.error("Scheduled generation failed:", error);
+    const code = error instanceof ProviderError ? error.code : "generation_failed";
+    return finish({ status: "failed", reason: code });
+  }
+}
@@ -0,0 +1,652 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { build } from "esbuild";
+import { Miniflare } from "miniflare";
+
+const ORIGIN = "http://gallery.test";
+const ADMIN_KEY = "test-admin-key";
+
+let mf;
+let options; // kept for workers that run with a different set of bindings
+let session; // the gallery page's cookie, which keyless calls need
+
+// The worker bundled as wrangler would, with the stub provider and local R2 and KV
+before(async () => {
+  const [{ outputFiles }, config] = await Promise.all([
+    build({
+      entryPoints: [new URL("../src/worker.js", import.meta.url).pathname],
+      bundle: true,
+      format: "esm",
+      platform: "browser",
+      conditions: ["workerd", "worker"],
+      external: ["cloudflare:*"],
+      write: false
+    }),
+    readFile(new URL("../wrangler.toml", import.meta.url), "utf8")
+  ]);
+
+  options = {
+    modules: true,
+    script: outputFiles[0].text,
+    compatibilityDate: config.match(/compatibility_date = "([^"]+)"/)[1],
+    r2Buckets: ["ART"],
+    kvNamespaces: ["SPEND_TRACKER"],
+    durableObjects: { SPEND_LEDGER: "SpendLedger" },
+    queueProducers: { JOB_QUEUE: "ai-gallery-jobs" },
+    queueConsumers: { "ai-gallery-jobs": { maxBatchSize: 1, maxBatchTimeout: 0, maxRetries: 0 } },
+    bindings: {
+      IMAGE_PROVIDER: "stub",
+      PROMPT_CACHE: "on",
+      MODERATION_PROVIDER: "none",
+      IMAGE_SCREENING: "none",
+      DEMO_API_KEY: ADMIN_KEY
+    }
+  };
+  mf = new Miniflare(options);
+
+  const page = await mf.dispatchFetch(`${ORIGIN}/`);
+  await page.text();
+  session = page.headers.get("set-cookie").split(";")[0];
+});
+
+after(() => mf?.dispose());
+
+function api(path, { body, headers = {}, ...init } = {}) {
+  return mf.dispatchFetch(ORIGIN + path, {
+    ...init,
+    method: init.method ?? (body === undefined ? "GET" : "POST"),
+    headers: {
+      origin: ORIGIN,
+      cookie: session,
+      ...(body === undefined ? {} : { "content-type": "application/json" }),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+// An img2img edit of an existing gallery image, sent as an upload
+async function uploadEdit(prompt, fields = {}) {
+  const { images: [base] } = await json(await api("/api/images?limit=1"));
+  const form = new FormData();
+  form.append("image", new Blob([await (await mf.dispatchFetch(base.url)).arrayBuffer()], { type: "image/png" }));
+  form.append("prompt", prompt);
+  for (const [name, value] of Object.entries(fields)) form.append(name, value);
+  return json(await mf.dispatchFetch(`${ORIGIN}/api/generate/img2img`, {
+    method: "POST",
+    headers: { origin: ORIGIN, cookie: session },
+    body: form
+  }));
+}
+
+// Poll /api/jobs/:id until the job settles
+async function waitForJob(id) {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const job = await json(await api(`/api/jobs/${id}`));
+    if (job.status === "done" || job.status === "failed") return job;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  assert.fail(`job ${id} never settled`);
+}
+
+async function json(response, status = 200) {
+  const data = await response.json();
+  assert.equal(response.status, status, JSON.stringify(data));
+  return data;
+}
+
+describe("stub provider flow", () => {
+  let generated;
+
+  it("generates and stores an image", async () => {
+    generated = await json(await api("/api/generate", { body: { prompt: "a lighthouse on a granite cliff" } }));
+    assert.equal(generated.provider, "stub");
+    assert.match(generated.historyUrl, /\/art\/.+\.png$/);
+
+    const file = await mf.dispatchFetch(generated.historyUrl);
+    assert.equal(file.status, 200);
+    assert.equal(file.headers.get("content-type"), "image/png");
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    assert.deepEqual([...bytes.slice(1, 4)], [0x50, 0x4e, 0x47]); // "PNG"
+  });
+
+  it("answers a repeated prompt from the cache", async () => {
+    const response = await api("/api/generate", { body: { prompt: "a lighthouse on a granite cliff" } });
+    const cached = await json(response);
+    assert.equal(response.headers.get("x-cache"), "HIT");
+    assert.equal(cached.historyUrl, generated.historyUrl);
+  });
+
+  it("lists the image newest-first and serves its metadata", async () => {
+    const listing = await json(await api("/api/images?limit=10"));
+    assert.equal(listing.count, 1);
+    assert.equal(listing.images[0].id, generated.id);
+    assert.equal(listing.images[0].prompt, "a lighthouse on a granite cliff");
+
+    const detail = await json(await api(`/api/images/${listing.images[0].id}`));
+    assert.equal(detail.url, generated.historyUrl);
+  });
+
+  it("finds the image by prompt words, in either number", async () => {
+    const found = await json(await api("/api/search?q=granite%20cliffs"));
+    assert.equal(found.count, 1);
+    assert.equal(found.results[0].id, generated.id);
+
+    const missing = await json(await api("/api/search?q=volcano"));
+    assert.equal(missing.count, 0);
+  });
+
+  it("rejects blocked prompts without generating", async () => {
+    const blocked = await json(await api("/api/generate", { body: { prompt: "gore on the lighthouse" } }), 400);
+    assert.equal(blocked.error, "inappropriate_prompt");
+  });
+
+  it("blocks inflected and spelled-out forms of denied words", async () => {
+    const check = async prompt => json(await api("/api/admin/moderation/image/check", {
+      body: { prompt },
+      headers: { "x-api-key": ADMIN_KEY }
+    }));
+    for (const prompt of ["killing a person, violent", "the knight killed", "nudity", "a sexy pose", "s e x"]) {
+      assert.equal((await check(prompt)).blocked, true, prompt);
+    }
+    const innocent = [
+      "Sussex landscape", "skilled painter", "deathstalker scorpion", "a nudge", "brass sextant on a map",
+      "killer whale breaching", "a killdeer in a field", "a b c on a blackboard", "a sunrise over death valley"
+    ];
+    for (const prompt of innocent) {
+      assert.equal((await check(prompt)).blocked, false, prompt);
+    }
+  });
+
+  it("generates a batch of images and sculptures", async () => {
+    const batch = await json(await api("/api/generate/batch", {
+      body: {
+        items: [
+          { prompt: "a red fox in fresh snow" },
+          { type: "sculpture", prompt: "a small ceramic owl" }
+        ]
+      }
+    }));
+    assert.equal(batch.count, 2);
+    assert.equal(batch.succeeded, 2);
+    assert.equal(batch.items[0].result.provider, "stub");
+    assert.match(batch.items[1].result.url, /\/sculptures\/.+\.glb$/);
+
+    const sculptures = await json(await api("/api/sculptures"));
+    assert.equal(sculptures.count, 1);
+    const images = await json(await api("/api/images"));
+    assert.equal(images.count, 2); // the fox and the lighthouse
+  });
+
+  it("rejects the whole batch when one item is bad", async () => {
+    const rejected = await json(await api("/api/generate/batch", {
+      body: { items: [{ prompt: "a quiet harbour" }, { prompt: "x" }] }
+    }), 400);
+    assert.equal(rejected.error, "invalid_batch");
+    assert.deepEqual(rejected.failures.map(failure => failure.index), [1]);
+  });
+
+  it("records the spend on the admin report", async () => {
+    const report = await json(await api("/api/admin/spend?days=1", { headers: { "x-api-key": ADMIN_KEY } }));
+    assert.equal(report.spent.today.charges, 4); // the owl's image and 3D steps are charged separately
+    assert.equal(report.spent.today.total, 0); // the stub provider is free
+    assert.equal(report.spent.today.cacheHits, 1);
+  });
+});
+
+describe("spend ledger without the Durable Object", () => {
+  let kvOnly;
+
+  before(() => {
+    const { durableObjects, ...rest } = options;
+    kvOnly = new Miniflare(rest);
+  });
+
+  after(() => kvOnly?.dispose());
+
+  it("records spend in SPEND_TRACKER KV", async () => {
+    const admin = { "x-api-key": ADMIN_KEY };
+    const generate = await kvOnly.dispatchFetch(`${ORIGIN}/api/generate`, {
+      method: "POST",
+      headers: { ...admin, "content-type": "application/json" },
+      body: JSON.stringify({ prompt: "a paper boat on a pond" })
+    });
+    await json(generate);
+
+    const report = await json(await kvOnly.dispatchFetch(`${ORIGIN}/api/admin/spend?days=1`, { headers: admin }));
+    assert.equal(report.spent.today.charges, 1);
+    assert.equal(report.held, 0);
+  });
+});
+
+describe("async jobs", () => {
+  it("runs a sculpture job on the queue consumer", async () => {
+    const accepted = await json(await api("/api/generate-sculpture", {
+      body: { prompt: "a bronze heron", async: true }
+    }), 202);
+    assert.equal(accepted.status, "queued");
+
+    const job = await waitForJob(accepted.jobId);
+    assert.equal(job.status, "done", JSON.stringify(job.error));
+    assert.deepEqual(job.steps.map(step => step.name), ["image", "3d", "storing"]);
+    assert.match(job.result.url, /\/sculptures\/.+\.glb$/);
+  });
+
+  it("carries an edit's source image through the queue", async () => {
+    const { images: [source] } = await json(await api("/api/images?limit=1"));
+    const accepted = await json(await api("/api/generate/variation", {
+      body: { source: source.id, async: true }
+    }), 202);
+
+    const job = await waitForJob(accepted.jobId);
+    assert.equal(job.status, "done", JSON.stringify(job.error));
+    assert.equal(job.result.parentId, source.id);
+    assert.equal(job.result.prompt, source.prompt);
+  });
+
+  it("reports a job still running past its deadline as failed", async () => {
+    const id = crypto.randomUUID();
+    const startedAt = new Date(Date.now() - 60000).toISOString();
+    const bucket = await mf.getR2Bucket("ART");
+    await bucket.put(`jobs/${id}.json`, JSON.stringify({
+      id,
+      type: "sculpture",
+      status: "3d",
+      steps: [{ name: "3d", startedAt }],
+      createdAt: startedAt,
+      updatedAt: startedAt,
+      deadline: new Date(Date.now() - 30000).toISOString(),
+      result: null,
+      error: null
+    }));
+
+    const job = await json(await api(`/api/jobs/${id}`));
+    assert.equal(job.status, "failed");
+    assert.equal(job.error.code, "job_expired");
+    assert.ok(job.steps[0].finishedAt);
+  });
+
+  it("marks a queued job failed when its input can't be read", async () => {
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    const bucket = await mf.getR2Bucket("ART");
+    await bucket.put(`jobs/${id}.json`, JSON.stringify({
+      id,
+      type: "image",
+      status: "queued",
+      steps: [],
+      createdAt: now,
+      updatedAt: now,
+      deadline: new Date(Date.now() + 60000).toISOString(),
+      result: null,
+      error: null
+    }));
+    await bucket.put(`jobs/${id}.input.json`, "{");
+    await (await mf.getQueueProducer("JOB_QUEUE")).send({ jobId: id });
+
+    const job = await waitForJob(id);
+    assert.equal(job.status, "failed");
+    assert.equal(job.error.code, "generation_failed");
+    assert.equal(await bucket.head(`jobs/${id}.input.json`), null);
+  });
+});
+
+describe("moderation", () => {
+  const admin = { "x-api-key": ADMIN_KEY };
+
+  it("keeps an edit's uploaded source public while another sample is visible", async () => {
+    const edited = await uploadEdit("a harbour in fog", { samples: "2" });
+    assert.equal(edited.images.length, 2);
+
+    await json(await api(`/api/admin/images/${edited.images[1].id}/hide`, { method: "POST", headers: admin }));
+    assert.equal((await mf.dispatchFetch(edited.sourceImageUrl)).status, 200);
+    assert.equal((await mf.dispatchFetch(edited.images[1].url)).status, 404);
+
+    await json(await api(`/api/admin/images/${edited.images[0].id}/hide`, { method: "POST", headers: admin }));
+    assert.equal((await mf.dispatchFetch(edited.sourceImageUrl)).status, 404);
+
+    await json(await api(`/api/admin/images/${edited.images[1].id}/restore`, { method: "POST", headers: admin }));
+    assert.equal((await mf.dispatchFetch(edited.sourceImageUrl)).status, 200);
+  });
+
+  it("drops a deleted cover from its collection", async () => {
+    const generated = await json(await api("/api/generate", { body: { prompt: "a tin robot on a shelf" } }));
+    const collection = await json(await api("/api/collections", {
+      body: { name: "Robots", items: [{ type: "image", id: generated.id }] },
+      headers: admin
+    }), 201);
+    assert.equal(collection.cover.id, generated.id);
+
+    await json(await api(`/api/admin/images/${generated.id}`, { method: "DELETE", headers: admin }));
+    const current = await json(await api(`/api/collections/${collection.id}`, { headers: admin }));
+    assert.equal(current.cover, null);
+    assert.equal(current.coverUrl, null);
+    assert.deepEqual(current.items, []);
+    assert.equal(current.itemCount, 0);
+
+    const { collections } = await json(await api("/api/collections", { headers: admin }));
+    assert.equal(collections.find(({ id }) => id === collection.id).coverUrl, null);
+  });
+});
+
+describe("collections", () => {
+  const admin = { "x-api-key": ADMIN_KEY };
+  let owner;
+  let other;
+
+  before(async () => {
+    const issue = async name => {
+      const { key } = await json(await api("/api/admin/keys", { body: { name, scopes: ["curate", "read"] }, headers: admin }), 201);
+      return { "x-api-key": key, cookie: "" };
+    };
+    owner = await issue("curator");
+    other = await issue("other curator");
+  });
+
+  it("creates, renames and deletes a collection", async () => {
+    const { images: [image] } = await json(await api("/api/images?limit=1"));
+    const created = await json(await api("/api/collections", {
+      body: { name: "Seaside", items: [{ type: "image", id: image.id }] },
+      headers: owner
+    }), 201);
+    assert.equal(created.itemCount, 1);
+    assert.equal(created.cover.id, image.id);
+
+    const renamed = await json(await api(`/api/collections/${created.id}`, {
+      method: "PATCH",
+      body: { name: "By the sea" },
+      headers: owner
+    }));
+    assert.equal(renamed.name, "By the sea");
+    await json(await api(`/api/collections/${created.id}`, { method: "PATCH", body: { name: "Mine now" }, headers: other }), 403);
+
+    await json(await api(`/api/collections/${created.id}`, { method: "DELETE", headers: owner }));
+    await json(await api(`/api/collections/${created.id}`), 404);
+  });
+
+  it("shows a private collection only to its owner", async () => {
+    const created = await json(await api("/api/collections", {
+      body: { name: "Drafts", visibility: "private" },
+      headers: owner
+    }), 201);
+
+    await json(await api(`/api/collections/${created.id}`), 404);
+    await json(await api(`/api/collections/${created.id}`, { headers: other }), 404);
+    assert.equal((await json(await api(`/api/collections/${created.id}`, { headers: owner }))).name, "Drafts");
+
+    const listed = async headers => (await json(await api("/api/collections?limit=100", { headers }))).collections
+      .some(({ id }) => id === created.id);
+    assert.equal(await listed({}), false);
+    assert.equal(await listed(other), false);
+    assert.equal(await listed(owner), true);
+  });
+
+  it("counts only the items still visible", async () => {
+    const [first, second] = await Promise.all(["a copper kettle", "a wool scarf"].map(async prompt =>
+      json(await api("/api/generate", { body: { prompt } }))));
+    const created = await json(await api("/api/collections", {
+      body: { name: "Household", items: [first, second].map(({ id }) => ({ type: "image", id })) },
+      headers: owner
+    }), 201);
+    const count = async () => {
+      const single = await json(await api(`/api/collections/${created.id}`));
+      const { collections } = await json(await api("/api/collections?limit=100"));
+      assert.equal(collections.find(({ id }) => id === created.id).itemCount, single.itemCount);
+      assert.equal(single.items.length, single.itemCount);
+      return single.itemCount;
+    };
+    assert.equal(await count(), 2);
+
+    await json(await api(`/api/admin/images/${second.id}/hide`, { method: "POST", headers: admin }));
+    assert.equal(await count(), 1);
+    await json(await api(`/api/admin/images/${second.id}/restore`, { method: "POST", headers: admin }));
+    assert.equal(await count(), 2);
+    await json(await api(`/api/admin/images/${first.id}`, { method: "DELETE", headers: admin }));
+    assert.equal(await count(), 1);
+  });
+});
+
+describe("object serving", () => {
+  let url;
+  let size;
+
+  before(async () => {
+    ({ historyUrl: url } = await json(await api("/api/generate", { body: { prompt: "a tin robot" } })));
+    size = (await (await mf.dispatchFetch(url)).arrayBuffer()).byteLength;
+  });
+
+  it("serves byte ranges", async () => {
+    const first = await mf.dispatchFetch(url, { headers: { range: "bytes=0-9" } });
+    assert.equal(first.status, 206);
+    assert.equal(first.headers.get("content-range"), `bytes 0-9/${size}`);
+    assert.equal((await first.arrayBuffer()).byteLength, 10);
+
+    const last = await mf.dispatchFetch(url, { headers: { range: "bytes=-4" } });
+    assert.equal(last.status, 206);
+    assert.equal(last.headers.get("content-range"), `bytes ${size - 4}-${size - 1}/${size}`);
+    await last.arrayBuffer();
+  });
+
+  it("answers conditional requests and HEAD", async () => {
+    const head = await mf.dispatchFetch(url, { method: "HEAD" });
+    assert.equal(head.status, 200);
+    assert.equal(head.headers.get("content-length"), String(size));
+    assert.equal(head.headers.get("accept-ranges"), "bytes");
+    const etag = head.headers.get("etag");
+    assert.ok(etag);
+
+    for (const method of ["GET", "HEAD"]) {
+      const cached = await mf.dispatchFetch(url, { method, headers: { "if-none-match": etag } });
+      assert.equal(cached.status, 304, method);
+    }
+    const stale = await mf.dispatchFetch(url, { headers: { "if-none-match": '"stale"' } });
+    assert.equal(stale.status, 200);
+    await stale.arrayBuffer();
+  });
+});
+
+describe("image variants", () => {
+  let image;
+
+  before(async () => {
+    image = await json(await api("/api/generate", { body: { prompt: "a glass marble", width: 512, height: 512 } }));
+  });
+
+  it("lists variant URLs and a srcset up to the original", async () => {
+    const { url, variants, srcset } = await json(await api(`/api/images/${image.id}`));
+    assert.equal(variants.thumbnail, `${url}?w=256&format=webp`);
+    assert.equal(srcset, `${url}?w=256&format=webp 256w, ${url} 512w`);
+  });
+
+  it("serves the original while the IMAGES binding is missing", async () => {
+    const original = new Uint8Array(await (await mf.dispatchFetch(image.historyUrl)).arrayBuffer());
+    const variant = await mf.dispatchFetch(`${image.historyUrl}?w=256&format=webp`);
+    assert.equal(variant.status, 200);
+    assert.equal(variant.headers.get("content-type"), "image/png");
+    assert.deepEqual(new Uint8Array(await variant.arrayBuffer()), original);
+  });
+
+  it("rejects widths and formats it doesn't make", async () => {
+    assert.equal((await json(await mf.dispatchFetch(`${image.historyUrl}?w=300`), 400)).error, "invalid_width");
+    assert.equal((await json(await mf.dispatchFetch(`${image.historyUrl}?format=gif`), 400)).error, "invalid_format");
+  });
+});
+
+describe("feeds", () => {
+  it("lists an edit with its result, a sculpture with its source, and leaves hidden items out", async () => {
+    const edited = await uploadEdit("a lantern in the rain");
+    const sculpture = await json(await api("/api/generate-sculpture", { body: { prompt: "a clay tortoise" } }));
+    const hidden = await json(await api("/api/generate", { body: { prompt: "a crooked chimney" } }));
+    await json(await api(`/api/admin/images/${hidden.id}/hide`, { method: "POST", headers: { "x-api-key": ADMIN_KEY } }));
+
+    const response = await api("/feed.json");
+    assert.match(response.headers.get("content-type"), /^application\/feed\+json/);
+    const feed = await json(response);
+    assert.equal(feed.version, "https://jsonfeed.org/version/1.1");
+    const entry = id => feed.items.find(item => item.id.endsWith(id));
+
+    assert.equal(entry(edited.id).image, edited.historyUrl);
+    assert.deepEqual(entry(edited.id).attachments.map(file => file.url), [edited.historyUrl]);
+    assert.equal(entry(sculpture.id).image, sculpture.sourceImageUrl);
+    assert.equal(entry(sculpture.id).attachments.length, 2);
+    assert.equal(entry(hidden.id), undefined);
+
+    const atom = await api("/feed.xml");
+    assert.match(atom.headers.get("content-type"), /^application\/atom\+xml/);
+    const xml = await atom.text();
+    assert.ok(xml.includes(`<link rel="enclosure" href="${edited.historyUrl}"`));
+    assert.ok(!xml.includes(edited.sourceImageUrl));
+    assert.ok(!xml.includes(hidden.id));
+  });
+});
+
+describe("permalinks", () => {
+  let image;
+  let size;
+
+  before(async () => {
+    image = await json(await api("/api/generate", { body: { prompt: "a red barn in snow", width: 512, height: 384 } }));
+    const header = new DataView(await (await mf.dispatchFetch(image.historyUrl)).arrayBuffer());
+    size = { width: header.getUint32(16), height: header.getUint32(20) }; // PNG IHDR
+  });
+
+  it("serves a page with Open Graph tags and an oEmbed link", async () => {
+    const response = await mf.dispatchFetch(`${ORIGIN}/a/${image.id}`);
+    assert.equal(response.status, 200);
+    const html = await response.text();
+    assert.ok(html.includes(`<meta property="og:image" content="${image.historyUrl}">`));
+    assert.ok(html.includes(`<meta property="og:image:width" content="${size.width}">`));
+    assert.ok(html.includes('type="application/json+oembed"'));
+    assert.equal((await mf.dispatchFetch(`${ORIGIN}/a/no-such-artwork`)).status, 404);
+  });
+
+  it("reports the original's size in oEmbed without the IMAGES binding", async () => {
+    const permalink = encodeURIComponent(`${ORIGIN}/a/${image.id}`);
+    const embed = await json(await api(`/oembed?url=${permalink}&maxwidth=256`));
+    assert.equal(embed.type, "photo");
+    assert.equal(embed.url, image.historyUrl);
+    assert.equal(embed.width, size.width);
+    assert.equal(embed.height, size.height);
+    assert.equal(embed.thumbnail_url, image.historyUrl);
+    assert.equal(embed.thumbnail_width, size.width);
+
+    await json(await api(`/oembed?url=${encodeURIComponent(`${ORIGIN}/a/no-such-artwork`)}`), 404);
+  });
+});
+
+describe("API keys", () => {
+  const admin = { "x-api-key": ADMIN_KEY };
+
+  it("only lets the gallery page's own session call without a key", async () => {
+    const body = { prompt: "a quiet meadow" };
+    assert.equal((await json(await api("/api/generate", { body, headers: { cookie: "" } }), 401)).error, "unauthorized");
+    const forged = `${session.slice(0, -4)}0000`;
+    await json(await api("/api/generate", { body, headers: { cookie: forged } }), 401);
+    await json(await api("/api/generate", { body, headers: { origin: "https://elsewhere.test" } }), 401);
+  });
+
+  it("issues scoped keys and revokes them", async () => {
+    const issued = await json(await api("/api/admin/keys", {
+      body: { name: "reader", scopes: ["read"] },
+      headers: admin
+    }), 201);
+    assert.match(issued.key, /^gk_/);
+    const reader = { "x-api-key": issued.key, cookie: "" };
+
+    const forbidden = await json(await api("/api/generate", { body: { prompt: "a quiet meadow" }, headers: reader }), 403);
+    assert.equal(forbidden.error, "forbidden");
+    await json(await api("/api/images?limit=1", { headers: reader }));
+    await json(await api("/api/admin/keys", { headers: reader }), 403);
+
+    const { keys } = await json(await api("/api/admin/keys", { headers: admin }));
+    const listed = keys.find(key => key.id === issued.id);
+    assert.deepEqual(listed.scopes, ["read"]);
+    assert.equal(listed.key, undefined);
+
+    const revoked = await json(await api(`/api/admin/keys/${issued.id}`, { method: "DELETE", headers: admin }));
+    assert.ok(revoked.revokedAt);
+    assert.equal((await json(await api("/api/images?limit=1", { headers: reader }), 401)).error, "key_revoked");
+  });
+
+  it("charges generation to the key that asked for it", async () => {
+    const issued = await json(await api("/api/admin/keys", {
+      body: { name: "painter", scopes: ["generate-image", "read"] },
+      headers: admin
+    }), 201);
+    await json(await api("/api/generate", {
+      body: { prompt: "a kite over dunes" },
+      headers: { "x-api-key": issued.key, cookie: "" }
+    }));
+
+    const report = await json(await api("/api/admin/spend?days=1", { headers: admin }));
+    assert.equal(report.spent.today.byKey[issued.id], 0); // a stub charge, recorded against the key
+  });
+});
+
+describe("scheduled generation", () => {
+  const admin = { "x-api-key": ADMIN_KEY };
+  const cron = "0 */3 * * *";
+
+  async function lastRunAfterCron() {
+    await (await mf.getWorker()).scheduled({ cron });
+    return (await json(await api("/api/admin/autogen", { headers: admin }))).lastRun;
+  }
+
+  it("skips the cron while unconfigured or paused", async () => {
+    const { trigger, status, reason } = await lastRunAfterCron();
+    assert.deepEqual({ trigger, status, reason }, { trigger: cron, status: "skipped", reason: "not_configured" });
+
+    await json(await api("/api/admin/autogen", {
+      method: "PUT",
+      body: { prompts: ["a weathervane at dusk"], paused: true },
+      headers: admin
+    }));
+    assert.equal((await lastRunAfterCron()).reason, "paused");
+  });
+
+  it("generates a tagged piece on the cron once resumed", async () => {
+    await json(await api("/api/admin/autogen/resume", { method: "POST", headers: admin }));
+    const run = await lastRunAfterCron();
+    assert.equal(run.status, "generated", JSON.stringify(run));
+    assert.equal(run.prompt, "a weathervane at dusk");
+
+    const record = await json(await api(`/api/images/${run.ids[0]}`));
+    assert.deepEqual(record.tags, ["auto-generated"]);
+  });
+});
+
+describe("live events", () => {
+  // Read SSE events until `done(events)` is true, then hang up
+  async function readEvents(response, done) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    const events = [];
+    let text = "";
+    while (!done(events)) {
+      const { value, done: ended } = await reader.read();
+      if (ended) break;
+      text += decoder.decode(value, { stream: true });
+      const blocks = text.split("\n\n");
+      text = blocks.pop();
+      for (const block of blocks) {
+        const event = block.match(/^event: (.+)$/m)?.[1];
+        const data = block.match(/^data: (.+)$/m)?.[1];
+        if (event) events.push({ event, data: JSON.parse(data) });
+      }
+    }
+    await reader.cancel();
+    return events;
+  }
+
+  it("streams artwork published after the stream opened", async () => {
+    const since = new Date().toISOString();
+    const stream = await api(`/api/events?since=${encodeURIComponent(since)}`);
+    assert.equal(stream.headers.get("content-type"), "text/event-stream");
+
+    const generated = await json(await api("/api/generate", { body: { prompt: "a paper boat on a pond" } }));
+    const events = await readEvents(stream, events => events.some(({ event }) => event === "artwork"));
+    const artwork = events.find(({ event }) => event === "artwork");
+    assert.equal(artwork.data.id, generated.id);
+  });
+});